@@ -2,6 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 const app = express();
+// behind a reverse proxy req.ip (used for rate limiting) has to come from X-Forwarded-For,
+// e.g. TRUST_PROXY=1 for one proxy in front of the server
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
 app.use(cors({
        origin: process.env.CORS_ORIGIN||'http://localhost:5173' ,
         
@@ -10,17 +15,36 @@ app.use(cors({
 }));
 
 
-app.use(express.json({limit: "16kb"}))
-app.use(express.urlencoded({extended: true, limit: "16kb"}))
+// posts are HTML, a long article easily goes past a few kb (images are uploaded separately)
+app.use(express.json({limit: "1mb"}))
+app.use(express.urlencoded({extended: true, limit: "1mb"}))
 app.use(express.static("public"))
 app.use(cookieParser())
 
 // routes imports
 import userRoutes from './routes/user.route.js';
 import blogRoutes from './routes/blog.route.js';
+import readingListRoutes from './routes/readingList.route.js';
+import mediaRoutes from './routes/media.route.js';
+import feedRoutes from './routes/feed.route.js';
+import adminRoutes from './routes/admin.route.js';
+import seoRoutes from './routes/seo.route.js';
+import { FRONTEND_DIST } from './controllers/seo.controller.js';
+import { errorHandler } from './middlewares/error.middleware.js';
 
 // routes declaration
 app.use("/api/v1/users", userRoutes)
 app.use("/api/v1/blogs", blogRoutes)
+app.use("/api/v1/reading-lists", readingListRoutes)
+app.use("/api/v1/media", mediaRoutes)
+app.use("/api/v1/admin", adminRoutes)
+// feeds live outside /api so their URLs stay short for feed readers
+app.use("/feeds", feedRoutes)
+
+// the frontend build: assets as files, pages through seoRoutes so posts get their meta tags
+app.use(express.static(FRONTEND_DIST, {index: false}))
+app.use(seoRoutes)
+
+app.use(errorHandler)
 
 export { app };
\ No newline at end of file
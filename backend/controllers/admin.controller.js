@@ -0,0 +1,457 @@
+import mongoose from 'mongoose';
+import {User, ROLES} from '../models/user.model.js';
+import {Blog, BLOG_STATUSES} from '../models/blog.model.js';
+import {ModerationAction, MAX_REASON_LENGTH} from '../models/moderationAction.model.js';
+import {Report} from '../models/report.model.js';
+import {Session} from '../models/session.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeRegex } from '../utils/text.js';
+import { deleteBlogs } from '../utils/deleteBlogs.js';
+import { sendMail } from '../utils/mailer.js';
+
+// what the console shows about a user, email included since only staff can see it
+const ADMIN_USER_FIELDS = 'username email displayName role emailVerified suspendedAt suspensionReason createdAt';
+
+const paginate = (query, defaultLimit = 20) => {
+    const pageNumber = parseInt(query.page) || 1;
+    const pageSize = Math.min(parseInt(query.limit) || defaultLimit, 100);
+    return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+// every action of the console must say why it was taken. Checked before anything
+// changes, the audit record is only written after the action itself
+const requireReason = (body) => {
+    if (typeof body?.reason !== 'string' || !body.reason.trim()) {
+        throw new ApiError(400, 'A reason is required');
+    }
+    const reason = body.reason.trim();
+    if (reason.length > MAX_REASON_LENGTH) {
+        throw new ApiError(400, `The reason can be at most ${MAX_REASON_LENGTH} characters long`);
+    }
+    return reason;
+}
+
+const findTargetUser = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid user ID');
+    }
+    const user = await User.findById(id);
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    return user;
+}
+
+// moderators only act on regular users, admins on everyone but themselves
+const assertCanModerate = (actor, target) => {
+    if (actor._id.equals(target._id)) {
+        throw new ApiError(400, 'You cannot do this to your own account');
+    }
+    if (actor.role !== 'admin' && target.role !== 'user') {
+        throw new ApiError(403, 'Only admins can act on moderators and admins');
+    }
+    if (target.isGhost) {
+        throw new ApiError(400, 'This account cannot be changed');
+    }
+}
+
+const findTargetBlog = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    return blog;
+}
+
+// list and search users by username or email
+const listUsers = asyncHandler(async (req, res) => {
+    const { q, role, suspended } = req.query;
+    const { pageNumber, pageSize, skip } = paginate(req.query);
+
+    const filters = { isGhost: { $ne: true } };
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        filters.$or = [{ username: pattern }, { email: pattern }, { displayName: pattern }];
+    }
+    if (role) {
+        filters.role = role;
+    }
+    if (suspended === 'true') {
+        filters.suspendedAt = { $exists: true };
+    } else if (suspended === 'false') {
+        filters.suspendedAt = { $exists: false };
+    }
+
+    const users = await User.find(filters)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize);
+    const totalUsers = await User.countDocuments(filters);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            users,
+            totalUsers,
+            totalPages: Math.ceil(totalUsers / pageSize),
+            currentPage: pageNumber
+        }, 'Users fetched successfully'));
+});
+
+// a suspended user is logged out everywhere and cannot sign in again
+const suspendUser = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const user = await findTargetUser(req.params.id);
+    assertCanModerate(req.user, user);
+
+    if (user.suspendedAt) {
+        throw new ApiError(400, 'User is already suspended');
+    }
+
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAll(user._id, 'suspended');
+    await ModerationAction.create({ moderator: req.user._id, action: 'suspend', targetUser: user._id, reason });
+
+    const updatedUser = await User.findById(user._id).select(ADMIN_USER_FIELDS);
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedUser, 'User suspended'));
+});
+
+const unsuspendUser = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const user = await findTargetUser(req.params.id);
+    assertCanModerate(req.user, user);
+
+    if (!user.suspendedAt) {
+        throw new ApiError(400, 'User is not suspended');
+    }
+
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    await user.save({ validateBeforeSave: false });
+    await ModerationAction.create({ moderator: req.user._id, action: 'unsuspend', targetUser: user._id, reason });
+
+    const updatedUser = await User.findById(user._id).select(ADMIN_USER_FIELDS);
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedUser, 'User unsuspended'));
+});
+
+// admins only (see admin.route.js)
+const changeUserRole = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const user = await findTargetUser(req.params.id);
+    assertCanModerate(req.user, user);
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'change_role',
+        targetUser: user._id,
+        reason,
+        details: { from: previousRole, to: role }
+    });
+
+    const updatedUser = await User.findById(user._id).select(ADMIN_USER_FIELDS);
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedUser, 'Role updated'));
+});
+
+// every post regardless of status or author, newest first
+const listBlogs = asyncHandler(async (req, res) => {
+    const { q, status } = req.query;
+    const { pageNumber, pageSize, skip } = paginate(req.query);
+
+    const filters = {};
+    if (q) {
+        filters.title = new RegExp(escapeRegex(q), 'i');
+    }
+    if (status && BLOG_STATUSES.includes(status)) {
+        filters.status = status;
+    }
+
+    const blogs = await Blog.find(filters)
+        .select('title slug status author createdAt publishedAt takedown hiddenForReviewAt')
+        .populate('author', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize);
+    const totalBlogs = await Blog.countDocuments(filters);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            blogs,
+            totalBlogs,
+            totalPages: Math.ceil(totalBlogs / pageSize),
+            currentPage: pageNumber
+        }, 'Blogs fetched successfully'));
+});
+
+// takes a post off the site, the author keeps it but cannot publish it again
+const takeDownBlog = async (blog, moderatorId, reason) => {
+    blog.status = 'archived';
+    blog.takedown = { reason, by: moderatorId, at: new Date() };
+    blog.hiddenForReviewAt = undefined;
+    await blog.save();
+}
+
+// closes the open reports on a post once a moderator has dealt with them
+const resolveReports = async (blogId, moderatorId, status) => {
+    const { modifiedCount } = await Report.updateMany(
+        { blog: blogId, status: 'open' },
+        { $set: { status, resolvedBy: moderatorId, resolvedAt: new Date() } }
+    );
+    return modifiedCount;
+}
+
+const unpublishBlog = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const blog = await findTargetBlog(req.params.id);
+
+    await takeDownBlog(blog, req.user._id, reason);
+    await resolveReports(blog._id, req.user._id, 'actioned');
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'unpublish_post',
+        targetUser: blog.author,
+        targetBlog: blog._id,
+        targetTitle: blog.title,
+        reason
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, blog, 'Blog post unpublished'));
+});
+
+const deleteBlog = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const blog = await findTargetBlog(req.params.id);
+
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'delete_post',
+        targetUser: blog.author,
+        targetBlog: blog._id,
+        targetTitle: blog.title,
+        reason
+    });
+    await deleteBlogs([blog._id]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: blog._id }, 'Blog post deleted'));
+});
+
+// posts with open reports, the most reported first
+const getReportQueue = asyncHandler(async (req, res) => {
+    const { pageNumber, pageSize, skip } = paginate(req.query);
+
+    const [result] = await Report.aggregate([
+        { $match: { status: 'open' } },
+        {
+            $group: {
+                _id: '$blog',
+                reportCount: { $sum: 1 },
+                reasons: { $push: '$reason' },
+                firstReportedAt: { $min: '$createdAt' },
+                lastReportedAt: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { reportCount: -1, lastReportedAt: -1 } },
+        {
+            $facet: {
+                items: [{ $skip: skip }, { $limit: pageSize }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const blogs = await Blog.find({ _id: { $in: result.items.map((item) => item._id) } })
+        .select('title slug status author hiddenForReviewAt takedown')
+        .populate('author', 'username');
+    const blogsById = new Map(blogs.map((blog) => [blog._id.toString(), blog]));
+
+    const queue = result.items.map(({ _id, reasons, ...item }) => ({
+        ...item,
+        blog: blogsById.get(_id.toString()) || { _id },
+        // e.g. { spam: 3, harassment: 1 }
+        reasons: reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+    }));
+    const totalPosts = result.total[0]?.count || 0;
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            queue,
+            totalPosts,
+            totalPages: Math.ceil(totalPosts / pageSize),
+            currentPage: pageNumber
+        }, 'Report queue fetched successfully'));
+});
+
+// the individual reports on a post, open ones first
+const getBlogReports = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+
+    const reports = await Report.find({ blog: id })
+        .populate('reporter', 'username')
+        .populate('resolvedBy', 'username')
+        .sort({ status: -1, createdAt: -1 });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, reports, 'Reports fetched successfully'));
+});
+
+// the reports were unfounded: close them and show the post again
+const dismissReports = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const blog = await findTargetBlog(req.params.id);
+
+    const resolved = await resolveReports(blog._id, req.user._id, 'dismissed');
+    if (!resolved) {
+        throw new ApiError(404, 'This post has no open reports');
+    }
+    blog.hiddenForReviewAt = undefined;
+    await blog.save();
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'dismiss_reports',
+        targetUser: blog.author,
+        targetBlog: blog._id,
+        targetTitle: blog.title,
+        reason,
+        details: { reports: resolved }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, blog, 'Reports dismissed'));
+});
+
+// the reports were right: take the post down
+const hideReportedBlog = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const blog = await findTargetBlog(req.params.id);
+
+    const resolved = await resolveReports(blog._id, req.user._id, 'actioned');
+    if (!resolved) {
+        throw new ApiError(404, 'This post has no open reports');
+    }
+    await takeDownBlog(blog, req.user._id, reason);
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'unpublish_post',
+        targetUser: blog.author,
+        targetBlog: blog._id,
+        targetTitle: blog.title,
+        reason,
+        details: { reports: resolved }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, blog, 'Blog post hidden'));
+});
+
+// the post may stay up, but its author gets a warning by email
+const warnAuthor = asyncHandler(async (req, res) => {
+    const reason = requireReason(req.body);
+    const blog = await findTargetBlog(req.params.id);
+    const author = await User.findById(blog.author).select('username email isGhost');
+    if (!author || author.isGhost) {
+        throw new ApiError(400, 'This post has no author to warn');
+    }
+
+    const resolved = await resolveReports(blog._id, req.user._id, 'actioned');
+    if (!resolved) {
+        throw new ApiError(404, 'This post has no open reports');
+    }
+    blog.hiddenForReviewAt = undefined;
+    await blog.save();
+    await ModerationAction.create({
+        moderator: req.user._id,
+        action: 'warn_user',
+        targetUser: author._id,
+        targetBlog: blog._id,
+        targetTitle: blog.title,
+        reason,
+        details: { reports: resolved }
+    });
+
+    await sendMail({
+        to: author.email,
+        subject: 'A warning about your Blogbook post',
+        text: `Hi ${author.username},\nreaders reported your post "${blog.title}" and a moderator reviewed it.\nThe post stays online, but please take note:\n\n${reason}\n\nRepeated problems can get your account suspended.`,
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, blog, 'Author warned'));
+});
+
+// the audit log, optionally for a single user
+const getModerationLog = asyncHandler(async (req, res) => {
+    const { user } = req.query;
+    const { pageNumber, pageSize, skip } = paginate(req.query);
+
+    const filters = {};
+    if (user && mongoose.isValidObjectId(user)) {
+        filters.targetUser = user;
+    }
+
+    const actions = await ModerationAction.find(filters)
+        .populate('moderator', 'username')
+        .populate('targetUser', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize);
+    const totalActions = await ModerationAction.countDocuments(filters);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            actions,
+            totalActions,
+            totalPages: Math.ceil(totalActions / pageSize),
+            currentPage: pageNumber
+        }, 'Moderation log fetched successfully'));
+});
+
+export {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    changeUserRole,
+    listBlogs,
+    unpublishBlog,
+    deleteBlog,
+    getReportQueue,
+    getBlogReports,
+    dismissReports,
+    hideReportedBlog,
+    warnAuthor,
+    getModerationLog
+};
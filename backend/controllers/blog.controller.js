@@ -1,20 +1,116 @@
 import mongoose from 'mongoose';
-import {Blog} from '../models/blog.model.js';
-import {User} from '../models/user.model.js';
+import {Blog, BLOG_STATUSES, MAX_TAGS, normalizeTags, publicBlogFilter, publicBlogQuery, PUBLIC_BLOG_SORT} from '../models/blog.model.js';
+import {User, AUTHOR_FIELDS} from '../models/user.model.js';
+import {Revision} from '../models/revision.model.js';
+import {Reaction} from '../models/reaction.model.js';
+import {Follow} from '../models/follow.model.js';
+import {Media} from '../models/media.model.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeRegex, searchTerms, highlight, buildSnippet } from '../utils/text.js';
+import { sanitizeContent } from '../utils/sanitize.js';
+import { deleteBlogs } from '../utils/deleteBlogs.js';
 
 
+// publishAt / unpublishAt come from the compose form, an empty value clears the schedule.
+// Returns only the keys that were sent so updates leave the others untouched.
+const parseSchedule = ({ publishAt, unpublishAt }) => {
+    const schedule = {};
+    for (const [key, value] of Object.entries({ publishAt, unpublishAt })) {
+        if (value === undefined) continue;
+        if (value === null || value === '') {
+            schedule[key] = null;
+            continue;
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ApiError(400, `${key} must be a valid date`);
+        }
+        schedule[key] = date;
+    }
+    if (schedule.publishAt && schedule.unpublishAt && schedule.unpublishAt <= schedule.publishAt) {
+        throw new ApiError(400, 'unpublishAt must be after publishAt');
+    }
+    return schedule;
+}
+
+// normalize the tags sent by the client and enforce the max count with a proper 400
+const parseTags = (tags) => {
+    const normalized = normalizeTags(tags);
+    if (normalized.length > MAX_TAGS) {
+        throw new ApiError(400, `A blog can have at most ${MAX_TAGS} tags`);
+    }
+    return normalized;
+}
+
+// unverified accounts can write drafts, publishing waits until the email is verified.
+// A post taken down by a moderator stays unpublished.
+const assertCanPublish = (user, blog) => {
+    if (!user.canPublish()) {
+        throw new ApiError(403, 'Please verify your email address before publishing');
+    }
+    if (blog?.takedown?.at) {
+        throw new ApiError(403, `This post was unpublished by a moderator: ${blog.takedown.reason}`);
+    }
+}
+
+// coverImage is the id of one of the user's own uploads, null / '' removes the cover.
+// The resized variants made on upload are copied onto the post, images uploaded
+// before variants existed are used as they are. Returns undefined when nothing was sent.
+const resolveCover = async (coverImage, userId) => {
+    if (coverImage === undefined) return undefined;
+    if (coverImage === null || coverImage === '') return null;
+
+    if (!mongoose.isValidObjectId(coverImage)) {
+        throw new ApiError(400, 'Invalid cover image ID');
+    }
+
+    const media = await Media.findOne({ _id: coverImage, owner: userId });
+    if (!media) {
+        throw new ApiError(404, 'Cover image not found');
+    }
+
+    return {
+        media: media._id,
+        url: media.url,
+        thumbnailUrl: media.variants[0]?.url || media.url,
+        width: media.width,
+        height: media.height,
+        variants: media.variants.map(({ width, url }) => ({ width, url })),
+        placeholder: media.placeholder,
+    };
+}
+
 // Create a new blog post
 const postBlog = asyncHandler(async(req, res) => {
-    const { title , description, content, theme } = req.body;
+    const { title , description, content, theme, status = 'published' } = req.body;
     const authorId = req.user._id;
 
     if (!title || !description || !content || !theme) {
         throw new ApiError(400, 'title, description, content and theme are required');
     }
 
+    // content is rendered as HTML for every reader, strip anything the editor cannot produce
+    const safeContent = sanitizeContent(content);
+    if (!safeContent.trim()) {
+        throw new ApiError(400, 'content is required');
+    }
+
+    // a new post can only be saved as a draft or published right away
+    if (!['draft', 'published'].includes(status)) {
+        throw new ApiError(400, 'status must be either draft or published');
+    }
+
+    // a post scheduled for later stays a draft until the scheduler publishes it
+    const schedule = parseSchedule(req.body);
+    const tags = parseTags(req.body.tags);
+    const cover = await resolveCover(req.body.coverImage, authorId);
+    const isScheduled = schedule.publishAt && schedule.publishAt > new Date();
+    if (status === 'published' || schedule.publishAt) {
+        assertCanPublish(req.user);
+    }
+
     const author = await User.findById(authorId);
     if (!author) {
         throw new ApiError(404, 'Author not found');
@@ -23,25 +119,36 @@ const postBlog = asyncHandler(async(req, res) => {
     const newBlog = await Blog.create({
         title,
         description,
-        content,
+        content: safeContent,
         theme,
+        tags,
+        cover: cover || undefined,
+        status: isScheduled ? 'draft' : status,
+        publishAt: isScheduled ? schedule.publishAt : undefined,
+        unpublishAt: schedule.unpublishAt || undefined,
         author: authorId
     })
 
     if(!newBlog) {
         throw new ApiError(500, 'Failed to create blog post');
     }
+
+    // keep the first version in the history too
+    await Revision.record(newBlog, authorId);
     return res
     .status(200)
     .json(new ApiResponse(200, 'Blog post created successfully' , newBlog))
 });
 
+// the dashboard tabs filter by status, posts without a status are old published ones
+const statusFilter = (status) => (status === 'published' ? publicBlogFilter().status : status);
+
 // get all blog posts
 // we are trying to implement pagination and filtering by theme
 const getAllBlogs = asyncHandler(async(req, res) => {
     // We are implementing pagination and filters for the blogs
     // so we will use query parameters to get the page number and theme
-    const {page,limit,theme} = req.query;
+    const {page,limit,theme,status,tag} = req.query;
 
     // we have to set default values for page and limit to avoid crashing the server
     const pageNumber = parseInt(page) || 1;
@@ -52,6 +159,12 @@ const getAllBlogs = asyncHandler(async(req, res) => {
     if (theme) {
         filters.theme = theme;
     }
+    if (tag) {
+        filters.tags = normalizeTags(tag)[0];
+    }
+    if (status) {
+        filters.status = statusFilter(status);
+    }
 
     // we will skip the blogs based on the page number and limit
     const skip = (pageNumber - 1) * pageSize;
@@ -60,7 +173,7 @@ const getAllBlogs = asyncHandler(async(req, res) => {
     const blogs = await Blog.find(filters)
         .skip(skip)
         .limit(pageSize)
-        .populate('author', 'username') // populate author details
+        .populate('author', AUTHOR_FIELDS) // populate author details
         .sort({ createdAt: -1 }); // sort by createdAt in descending order
 
     // we get the blogs now we have to get the total number of blogs
@@ -78,55 +191,147 @@ const getAllBlogs = asyncHandler(async(req, res) => {
 })
 
 const getAllPublicBlogs = asyncHandler(async(req, res) => {
-    const {page, limit, theme} = req.query;
+    const {page, limit, theme, tag} = req.query;
     const pageNumber = parseInt(page) || 1;
     const pageSize = parseInt(limit) || 10;
-    const filters = {};
-    if (theme) {
-        filters.theme = theme;
-    }
+    const filters = publicBlogQuery({ theme, tag });
     const skip = (pageNumber - 1) * pageSize;
     const blogs = await Blog.find(filters)
         .skip(skip)
         .limit(pageSize)
-        .populate('author', 'username')
-        .sort({ createdAt: -1 });
+        .populate('author', AUTHOR_FIELDS)
+        .sort(PUBLIC_BLOG_SORT);
     const totalBlogs = await Blog.countDocuments(filters);
     const totalPages = Math.ceil(totalBlogs / pageSize);
 
+    // tell a logged in reader which reactions they already left on each card
+    const myReactions = await Reaction.typesByPost(req.user?._id, blogs.map((blog) => blog._id));
+
     // ✅ FIXED: The response now uses the correct ApiResponse format
     // that the frontend expects.
     return res
         .status(200)
         .json(new ApiResponse(200, {
-            blogs,
+            blogs: blogs.map((blog) => ({
+                ...blog.toObject(),
+                myReactions: myReactions[blog._id.toString()] || []
+            })),
             totalBlogs,
             totalPages,
             currentPage: pageNumber
         }, 'All public blogs fetched successfully'));
 });
+// posts from the authors the logged-in user follows, newest first
+const getFeed = asyncHandler(async(req, res) => {
+    const {page, limit} = req.query;
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 10;
+
+    const following = await Follow.find({ follower: req.user._id }).distinct('following');
+    const filters = { ...publicBlogFilter(), author: { $in: following } };
+
+    const skip = (pageNumber - 1) * pageSize;
+    const blogs = await Blog.find(filters)
+        .skip(skip)
+        .limit(pageSize)
+        .populate('author', AUTHOR_FIELDS)
+        .sort(PUBLIC_BLOG_SORT);
+    const totalBlogs = await Blog.countDocuments(filters);
+    const totalPages = Math.ceil(totalBlogs / pageSize);
+
+    const myReactions = await Reaction.typesByPost(req.user._id, blogs.map((blog) => blog._id));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            blogs: blogs.map((blog) => ({
+                ...blog.toObject(),
+                myReactions: myReactions[blog._id.toString()] || []
+            })),
+            totalBlogs,
+            totalPages,
+            currentPage: pageNumber
+        }, 'Feed fetched successfully'));
+});
+
 // get a single blog post by id 
+// drafts and archived posts are only visible to their author,
+// posts hidden for review also to moderators so they can check the reports
+const canViewBlog = (blog, user) => {
+    if (user && blog.author._id.toString() === user._id.toString()) {
+        return true;
+    }
+    if (blog.status !== 'published') {
+        return false;
+    }
+    return !blog.hiddenForReviewAt || ['moderator', 'admin'].includes(user?.role);
+}
+
 const getBlogById = asyncHandler(async(req, res) => {
     const {id} = req.params;
 
     if(mongoose.isValidObjectId(id)) {
-        const blog = await Blog.findById(id).populate('author', 'username');
+        const blog = await Blog.findById(id).populate('author', AUTHOR_FIELDS);
         if (!blog) {
             throw new ApiError(404, 'Blog post not found');
         }
+        if (!canViewBlog(blog, req.user)) {
+            throw new ApiError(404, 'Blog post not found');
+        }
+        const myReactions = await Reaction.typesByPost(req.user?._id, [blog._id]);
         return res
             .status(200)
-            .json(new ApiResponse(200, 'Blog post fetched successfully', blog));
+            .json(new ApiResponse(200, 'Blog post fetched successfully', {
+                ...blog.toObject(),
+                myReactions: myReactions[blog._id.toString()] || []
+            }));
     }
     throw new ApiError(400, 'Invalid blog post ID');
 });
 
+// get a single blog post by its permalink /by-slug/:authorUsername/:slug
+// old slugs answer with a 301 to the current permalink
+const getBlogBySlug = asyncHandler(async(req, res) => {
+    const {authorUsername, slug} = req.params;
+
+    const author = await User.findOne({ username: authorUsername }).select('_id username');
+    if (!author) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    let blog = await Blog.findOne({ author: author._id, slug }).populate('author', AUTHOR_FIELDS);
+    if (!blog) {
+        const renamed = await Blog.findOne({ author: author._id, oldSlugs: slug }).select('slug status author');
+        const isOwner = req.user && renamed?.author.toString() === req.user._id.toString();
+        if (renamed && (renamed.status === 'published' || isOwner)) {
+            const location = `${req.baseUrl}/by-slug/${encodeURIComponent(author.username)}/${encodeURIComponent(renamed.slug)}`;
+            return res
+                .status(301)
+                .location(location)
+                .json(new ApiResponse(301, { slug: renamed.slug, location }, 'Blog post has moved'));
+        }
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    if (!canViewBlog(blog, req.user)) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    const myReactions = await Reaction.typesByPost(req.user?._id, [blog._id]);
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            ...blog.toObject(),
+            myReactions: myReactions[blog._id.toString()] || []
+        }, 'Blog post fetched successfully'));
+});
+
 // lets handle the share functionality , we will increment the share count of the blog post
 const shareBlog = asyncHandler(async(req,res)=>{
     const {id} = req.params;
 
     if(mongoose.isValidObjectId(id)){
-        const updatedBlog = await Blog.findByIdAndUpdate(id,{$inc:{share:1}},{new:true});
+        // counters leave updatedAt alone, it is what the feeds use to tell that a post changed
+        const updatedBlog = await Blog.findOneAndUpdate({_id: id, ...publicBlogFilter()},{$inc:{share:1}},{new:true, timestamps:false});
         if (!updatedBlog) {
             throw new ApiError(404, 'Blog post not found');
         }
@@ -138,7 +343,7 @@ const shareBlog = asyncHandler(async(req,res)=>{
 
 
 const searchBlogs = asyncHandler(async(req,res)=> {
-    const {query , page , limit, theme} = req.query; 
+    const {query , page , limit, theme, tag, status} = req.query; 
     if (!query) {
         throw new ApiError(400, 'Search query is required');
     }
@@ -146,23 +351,32 @@ const searchBlogs = asyncHandler(async(req,res)=> {
     const pageSize = parseInt(limit) || 10;
     
     // ✅ FIXED: Added author filter to only search within the logged-in user's blogs.
+    // the query is escaped so characters like ( or * are matched literally
+    const pattern = escapeRegex(query);
     const filters = {
         author: req.user._id, // This requires verifyJWT middleware on the route
         $or:[
-            { title: {$regex: query, $options:"i"} },
-            { description: {$regex:query, $options:"i"} }
+            { title: {$regex: pattern, $options:"i"} },
+            { description: {$regex: pattern, $options:"i"} }
         ]
     };
 
     if (theme) {
         filters.theme = theme;
     }
+    if (tag) {
+        filters.tags = normalizeTags(tag)[0];
+    }
+    // same tabs as the dashboard list
+    if (status) {
+        filters.status = statusFilter(status);
+    }
     const skip = (pageNumber-1) * pageSize;
     const blogs = await Blog
         .find(filters)
         .skip(skip)
         .limit(pageSize)
-        .populate('author', 'username')
+        .populate('author', AUTHOR_FIELDS)
         .sort({ createdAt: -1 });
     
     const totalBlogs = await Blog.countDocuments(filters);
@@ -175,6 +389,59 @@ const searchBlogs = asyncHandler(async(req,res)=> {
         currentPage: pageNumber
     }, 'Blogs fetched successfully'));
 })
+// full-text search over all public blogs, best matches first
+// every result comes with a highlighted title and a snippet around the match
+const searchPublicBlogs = asyncHandler(async(req, res) => {
+    const {query, page, limit, theme, tag} = req.query;
+    if (!query || !query.trim()) {
+        throw new ApiError(400, 'Search query is required');
+    }
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 10;
+
+    // $text treats the query as plain words, no regex is ever built from it
+    const filters = {
+        ...publicBlogFilter(),
+        $text: { $search: query }
+    };
+    if (theme) {
+        filters.theme = theme;
+    }
+    if (tag) {
+        filters.tags = normalizeTags(tag)[0];
+    }
+
+    const skip = (pageNumber - 1) * pageSize;
+    const blogs = await Blog
+        .find(filters, { score: { $meta: 'textScore' } })
+        .select('-content +plainContent')
+        .skip(skip)
+        .limit(pageSize)
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ score: { $meta: 'textScore' }, ...PUBLIC_BLOG_SORT });
+
+    const totalBlogs = await Blog.countDocuments(filters);
+    const totalPages = Math.ceil(totalBlogs / pageSize);
+
+    const terms = searchTerms(query);
+    const myReactions = await Reaction.typesByPost(req.user?._id, blogs.map((blog) => blog._id));
+
+    return res.status(200).json(new ApiResponse(200, {
+        blogs: blogs.map((blog) => {
+            const { plainContent, ...rest } = blog.toObject();
+            return {
+                ...rest,
+                highlightedTitle: highlight(blog.title, terms),
+                snippet: buildSnippet(plainContent || blog.description, terms),
+                myReactions: myReactions[blog._id.toString()] || []
+            };
+        }),
+        totalBlogs,
+        totalPages,
+        currentPage: pageNumber
+    }, 'Blogs fetched successfully'));
+})
+
 // delete a blog post by id
 const deleteBlog = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -193,11 +460,146 @@ const deleteBlog = asyncHandler(async (req, res) => {
         throw new ApiError(403, 'You are not authorized to delete this blog');
     }
 
-    const deletedBlog = await Blog.findByIdAndDelete(id);
+    await deleteBlogs([blog._id]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, 'Blog post deleted successfully', blog));
+});
+
+// update a blog post by id, only the owner can edit it
+const updateBlog = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { title, description, content, theme, status } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+
+    if (!title || !description || !content || !theme) {
+        throw new ApiError(400, 'title, description, content and theme are required');
+    }
+
+    // content is rendered as HTML for every reader, strip anything the editor cannot produce
+    const safeContent = sanitizeContent(content);
+    if (!safeContent.trim()) {
+        throw new ApiError(400, 'content is required');
+    }
+
+    if (status && !BLOG_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of ${BLOG_STATUSES.join(', ')}`);
+    }
+
+    const schedule = parseSchedule(req.body);
+    const tags = req.body.tags === undefined ? undefined : parseTags(req.body.tags);
+
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    // Check if the logged-in user is the owner of the blog
+    if (blog.author.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You are not authorized to edit this blog');
+    }
+
+    blog.title = title;
+    blog.description = description;
+    blog.content = safeContent;
+    blog.theme = theme;
+    if (tags) {
+        blog.tags = tags;
+    }
+    const cover = await resolveCover(req.body.coverImage, req.user._id);
+    if (cover !== undefined) {
+        blog.cover = cover || undefined;
+    }
+    const wasDraft = blog.status === 'draft';
+    if (status) {
+        blog.status = status;
+    }
+    if (schedule.unpublishAt !== undefined) {
+        blog.unpublishAt = schedule.unpublishAt || undefined;
+    }
+    if (schedule.publishAt !== undefined) {
+        // publishing at a future date keeps a draft a draft until then. A live post
+        // is never taken offline by a date, it has to be sent back with status 'draft'
+        if (schedule.publishAt && schedule.publishAt > new Date()) {
+            if (status !== 'draft' && !(wasDraft && status !== 'archived')) {
+                throw new ApiError(400, "publishAt can only be set on a draft, send status 'draft' to reschedule this post");
+            }
+            blog.status = 'draft';
+            blog.publishAt = schedule.publishAt;
+        } else if (schedule.publishAt && blog.status === 'draft') {
+            blog.status = 'published';
+        } else {
+            blog.publishAt = undefined;
+        }
+    }
+
+    if ((blog.isModified('status') && blog.status === 'published') || (blog.isModified('publishAt') && blog.publishAt)) {
+        assertCanPublish(req.user, blog);
+    }
+
+    // save() runs the schema validators, so an unknown theme is rejected here
+    const updatedBlog = await blog.save();
+    await Revision.record(updatedBlog, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, 'Blog post updated successfully', updatedBlog));
+});
+
+// tag cloud for the public feed, most used tags first
+const getTags = asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+
+    const tags = await Blog.aggregate([
+        { $match: publicBlogFilter() },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { tags }, 'Tags fetched successfully'));
+});
+
+// move a blog post between draft, published and archived
+const updateBlogStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+
+    if (!BLOG_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of ${BLOG_STATUSES.join(', ')}`);
+    }
+
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    if (blog.author.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You are not authorized to edit this blog');
+    }
+
+    if (status === 'published') {
+        assertCanPublish(req.user, blog);
+    }
+
+    blog.status = status;
+    const updatedBlog = await blog.save();
 
     return res
         .status(200)
-        .json(new ApiResponse(200, 'Blog post deleted successfully', deletedBlog));
+        .json(new ApiResponse(200, 'Blog post status updated successfully', updatedBlog));
 });
 
-export { postBlog , getAllBlogs , getBlogById , shareBlog , searchBlogs ,deleteBlog , getAllPublicBlogs };
\ No newline at end of file
+export { postBlog , getAllBlogs , getBlogById , shareBlog , searchBlogs ,deleteBlog , getAllPublicBlogs , updateBlog , updateBlogStatus , getTags , getFeed , searchPublicBlogs , getBlogBySlug };
\ No newline at end of file
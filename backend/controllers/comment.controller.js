@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import {Blog} from '../models/blog.model.js';
+import {Comment} from '../models/comment.model.js';
+import {AUTHOR_FIELDS} from '../models/user.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// comments can only be read or written on posts the user is allowed to see,
+// posts hidden while reports are reviewed are closed to everyone but the author
+const findVisibleBlog = async (id, user) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    const isOwner = user && blog.author.toString() === user._id.toString();
+    if (!isOwner && (blog.status !== 'published' || blog.hiddenForReviewAt)) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    return blog;
+}
+
+const findComment = async (blogId, commentId) => {
+    if (!mongoose.isValidObjectId(commentId)) {
+        throw new ApiError(400, 'Invalid comment ID');
+    }
+    const comment = await Comment.findOne({ _id: commentId, post: blogId });
+    if (!comment || comment.deleted) {
+        throw new ApiError(404, 'Comment not found');
+    }
+    return comment;
+}
+
+const validateBody = (body) => {
+    if (typeof body !== 'string' || !body.trim()) {
+        throw new ApiError(400, 'Comment body is required');
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        throw new ApiError(400, `Comment can be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+}
+
+// blank out what a deleted comment said, but keep its place in the thread
+const toPublicComment = (comment) => {
+    const plain = comment.toObject();
+    if (plain.deleted) {
+        plain.body = '';
+        plain.author = null;
+    }
+    plain.replies = [];
+    return plain;
+}
+
+// add a comment to a blog post, or a reply when parent is sent
+const createComment = asyncHandler(async (req, res) => {
+    const { body, parent } = req.body;
+    validateBody(body);
+
+    const blog = await findVisibleBlog(req.params.id, req.user);
+
+    let root = null;
+    if (parent) {
+        const parentComment = await findComment(blog._id, parent);
+        root = parentComment.root || parentComment._id;
+    }
+
+    const comment = await Comment.create({
+        post: blog._id,
+        author: req.user._id,
+        parent: parent || null,
+        root,
+        body,
+    });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, toPublicComment(comment), 'Comment added successfully'));
+});
+
+// top level comments are paginated (newest first), each comes with its whole reply tree
+const getComments = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 10;
+
+    const blog = await findVisibleBlog(req.params.id, req.user);
+
+    const filters = { post: blog._id, parent: null };
+    const skip = (pageNumber - 1) * pageSize;
+    const topLevel = await Comment.find(filters)
+        .skip(skip)
+        .limit(pageSize)
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ createdAt: -1 });
+
+    const replies = await Comment.find({ root: { $in: topLevel.map((c) => c._id) } })
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ createdAt: 1 });
+
+    // build the tree: every reply is hung below its parent
+    const byId = new Map();
+    const comments = topLevel.map((comment) => {
+        const node = toPublicComment(comment);
+        byId.set(node._id.toString(), node);
+        return node;
+    });
+    for (const reply of replies) {
+        byId.set(reply._id.toString(), toPublicComment(reply));
+    }
+    for (const reply of replies) {
+        const parentNode = byId.get(reply.parent.toString());
+        if (parentNode) {
+            parentNode.replies.push(byId.get(reply._id.toString()));
+        }
+    }
+
+    const totalComments = await Comment.countDocuments(filters);
+    const totalPages = Math.ceil(totalComments / pageSize);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            comments,
+            totalComments,
+            totalPages,
+            currentPage: pageNumber
+        }, 'Comments fetched successfully'));
+});
+
+// only the author of a comment can edit it
+const updateComment = asyncHandler(async (req, res) => {
+    const { body } = req.body;
+    validateBody(body);
+
+    const blog = await findVisibleBlog(req.params.id, req.user);
+    const comment = await findComment(blog._id, req.params.commentId);
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You are not authorized to edit this comment');
+    }
+
+    comment.body = body;
+    comment.edited = true;
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toPublicComment(comment), 'Comment updated successfully'));
+});
+
+// the comment author or the author of the post can delete a comment
+const deleteComment = asyncHandler(async (req, res) => {
+    const blog = await findVisibleBlog(req.params.id, req.user);
+    const comment = await findComment(blog._id, req.params.commentId);
+
+    const userId = req.user._id.toString();
+    if (comment.author.toString() !== userId && blog.author.toString() !== userId) {
+        throw new ApiError(403, 'You are not authorized to delete this comment');
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+        comment.deleted = true;
+        comment.body = '[deleted]';
+        await comment.save();
+    } else {
+        await comment.deleteOne();
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: comment._id }, 'Comment deleted successfully'));
+});
+
+export { createComment, getComments, updateComment, deleteComment };
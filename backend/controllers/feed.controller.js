@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import {Blog, publicBlogQuery, PUBLIC_BLOG_SORT} from '../models/blog.model.js';
+import {User, AUTHOR_FIELDS} from '../models/user.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { sanitizeContent } from '../utils/sanitize.js';
+import { buildRss, buildAtom } from '../utils/feed.js';
+import { siteUrl, apiUrl, postPath, authorPath, assetUrl } from '../utils/url.js';
+
+const FEED_SIZE = 20;
+
+const FORMATS = {
+    rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+};
+
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const toFeedItem = (blog) => {
+    const link = siteUrl(postPath(blog));
+    const coverUrl = blog.cover?.url;
+    return {
+        // the /blog/:id address never changes, unlike the slug
+        id: siteUrl(`/blog/${blog._id}`),
+        title: blog.title,
+        link,
+        summary: blog.description,
+        // already sanitized on save, done again so old posts are covered too
+        content: sanitizeContent(blog.content),
+        author: blog.author?.displayName || blog.author?.username || 'unknown',
+        categories: blog.tags || [],
+        published: blog.publishedAt || blog.createdAt,
+        updated: blog.updatedAt,
+        image: coverUrl ? {
+            url: assetUrl(coverUrl),
+            type: IMAGE_TYPES[coverUrl.slice(coverUrl.lastIndexOf('.')).toLowerCase()] || 'image/jpeg',
+        } : undefined,
+    };
+}
+
+// Loads the posts, answers 304 when the reader already has this version
+// and otherwise renders the requested format.
+const sendFeed = async (req, res, { format, filters, title, description, link }) => {
+    const blogs = await Blog.find(filters)
+        .limit(FEED_SIZE)
+        .populate('author', AUTHOR_FIELDS)
+        .sort(PUBLIC_BLOG_SORT);
+
+    // the feed only changes when a post in it changes or the set of posts changes,
+    // share and reaction counters are updated without touching updatedAt
+    const fingerprint = blogs.map((blog) => `${blog._id}:${blog.updatedAt.getTime()}`).join(',');
+    const etag = `W/"${crypto.createHash('sha1').update(`${format}|${req.originalUrl}|${fingerprint}`).digest('base64url')}"`;
+    const updated = blogs.reduce((latest, blog) => (blog.updatedAt > latest ? blog.updatedAt : latest), new Date(0));
+
+    res.set({
+        'ETag': etag,
+        'Cache-Control': 'public, max-age=300',
+    });
+    if (blogs.length) {
+        res.set('Last-Modified', updated.toUTCString());
+    }
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    const xml = FORMATS[format].build({
+        title,
+        description,
+        link,
+        selfUrl: apiUrl(req.originalUrl),
+        updated: blogs.length ? updated : new Date(),
+    }, blogs.map(toFeedItem));
+
+    return res
+        .status(200)
+        .type(FORMATS[format].contentType)
+        .send(xml);
+}
+
+// site wide feed, accepts the same theme / tag filters as the public listing
+const siteFeed = (format) => asyncHandler(async (req, res) => {
+    const { theme, tag } = req.query;
+    return sendFeed(req, res, {
+        format,
+        filters: publicBlogQuery({ theme, tag }),
+        title: 'Blogbook',
+        description: 'Latest posts on Blogbook',
+        link: siteUrl('/blogs'),
+    });
+});
+
+// posts of a single author
+const authorFeed = (format) => asyncHandler(async (req, res) => {
+    const { username } = req.params;
+    const author = await User.findOne({ username }).select('_id username displayName');
+    if (!author) {
+        throw new ApiError(404, 'Author not found');
+    }
+
+    return sendFeed(req, res, {
+        format,
+        filters: publicBlogQuery({ tag: req.query.tag, author: author._id }),
+        title: `${author.displayName || author.username} on Blogbook`,
+        description: `Latest posts by ${author.displayName || author.username}`,
+        link: siteUrl(authorPath(author)),
+    });
+});
+
+const getPostsRss = siteFeed('rss');
+const getPostsAtom = siteFeed('atom');
+const getAuthorRss = authorFeed('rss');
+const getAuthorAtom = authorFeed('atom');
+
+export { getPostsRss, getPostsAtom, getAuthorRss, getAuthorAtom };
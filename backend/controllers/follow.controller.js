@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { User } from "../models/user.model.js";
+import { Follow } from "../models/follow.model.js";
+import { ApiError } from "../utils/apiError.js";
+import { ApiResponse } from "../utils/apiResponse.js";
+
+const findTargetUser = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+  const user = await User.findById(id).select("followersCount followingCount");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  return user;
+};
+
+const followStats = (user, isFollowing) => ({
+  followersCount: user.followersCount,
+  followingCount: user.followingCount,
+  isFollowing,
+});
+
+// Follow a user
+const followUser = asyncHandler(async (req, res) => {
+  const target = await findTargetUser(req.params.id);
+
+  if (target._id.equals(req.user._id)) {
+    throw new ApiError(400, "You cannot follow yourself");
+  }
+
+  try {
+    await Follow.create({ follower: req.user._id, following: target._id });
+  } catch (error) {
+    // already following, nothing to count
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return res
+      .status(200)
+      .json(new ApiResponse(200, followStats(target, true), "Already following this user"));
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { $inc: { followingCount: 1 } });
+  const updatedTarget = await User.findByIdAndUpdate(
+    target._id,
+    { $inc: { followersCount: 1 } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, followStats(updatedTarget, true), "User followed successfully"));
+});
+
+// Unfollow a user
+const unfollowUser = asyncHandler(async (req, res) => {
+  const target = await findTargetUser(req.params.id);
+
+  const removed = await Follow.deleteOne({ follower: req.user._id, following: target._id });
+  if (!removed.deletedCount) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, followStats(target, false), "You are not following this user"));
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { $inc: { followingCount: -1 } });
+  const updatedTarget = await User.findByIdAndUpdate(
+    target._id,
+    { $inc: { followersCount: -1 } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, followStats(updatedTarget, false), "User unfollowed successfully"));
+});
+
+// follower / following counts of a user and whether the logged-in user follows them
+const getFollowStatus = asyncHandler(async (req, res) => {
+  const target = await findTargetUser(req.params.id);
+
+  const isFollowing = req.user
+    ? Boolean(await Follow.exists({ follower: req.user._id, following: target._id }))
+    : false;
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, followStats(target, isFollowing), "Follow status fetched successfully"));
+});
+
+export { followUser, unfollowUser, getFollowStatus };
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import {Media} from '../models/media.model.js';
+import {Blog} from '../models/blog.model.js';
+import { UPLOAD_ROOT } from '../middlewares/upload.middleware.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { generateImageVariants } from '../utils/imageVariants.js';
+
+// The Content-Type of an upload comes from the client, so we also check
+// the first bytes of the file against the signature of the claimed type.
+const SIGNATURES = {
+    'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+    'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/gif': (buf) => ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('ascii')),
+    'image/webp': (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP',
+};
+
+const hasValidSignature = async (file) => {
+    const handle = await fs.open(file.path, 'r');
+    try {
+        const { buffer } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+        return SIGNATURES[file.mimetype]?.(buffer) ?? false;
+    } finally {
+        await handle.close();
+    }
+}
+
+// upload one image (multipart field "file")
+const uploadMedia = asyncHandler(async (req, res) => {
+    const file = req.file;
+    if (!file) {
+        throw new ApiError(400, 'file is required');
+    }
+
+    if (!(await hasValidSignature(file))) {
+        await fs.unlink(file.path);
+        throw new ApiError(400, 'File content does not match its type');
+    }
+
+    // resized copies and the placeholder are made right away, so a broken image
+    // is rejected here and picking it as a cover later costs nothing
+    let processed;
+    try {
+        processed = await generateImageVariants({ owner: req.user._id, filename: file.filename });
+    } catch {
+        await fs.unlink(file.path);
+        throw new ApiError(400, 'The image could not be processed');
+    }
+
+    const media = await Media.create({
+        owner: req.user._id,
+        url: `/uploads/${req.user._id}/${file.filename}`,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        ...processed,
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, media, 'File uploaded successfully'));
+});
+
+// the logged-in user's uploads, newest first
+const getMyMedia = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 24;
+
+    const filters = { owner: req.user._id };
+    const skip = (pageNumber - 1) * pageSize;
+    const media = await Media.find(filters)
+        .skip(skip)
+        .limit(pageSize)
+        .sort({ createdAt: -1 });
+
+    const totalMedia = await Media.countDocuments(filters);
+    const totalPages = Math.ceil(totalMedia / pageSize);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            media,
+            totalMedia,
+            totalPages,
+            currentPage: pageNumber
+        }, 'Media fetched successfully'));
+});
+
+// delete an upload and its files, posts that still use it inline will show a broken image
+// and posts that use it as a cover lose their cover
+const deleteMedia = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid media ID');
+    }
+
+    const media = await Media.findById(id);
+    if (!media) {
+        throw new ApiError(404, 'Media not found');
+    }
+    if (media.owner.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You are not authorized to delete this file');
+    }
+
+    await media.deleteOne();
+    await Blog.updateMany({ 'cover.media': media._id }, { $unset: { cover: 1 } });
+    // the files may already be gone, the document is what matters
+    const dir = path.join(UPLOAD_ROOT, media.owner.toString());
+    for (const filename of [media.filename, ...media.variants.map((variant) => variant.filename)]) {
+        await fs.rm(path.join(dir, filename), { force: true });
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: media._id }, 'Media deleted successfully'));
+});
+
+export { uploadMedia, getMyMedia, deleteMedia };
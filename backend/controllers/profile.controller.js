@@ -0,0 +1,74 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { User, PUBLIC_PROFILE_FIELDS, AUTHOR_FIELDS } from "../models/user.model.js";
+import { Blog, publicBlogFilter, publicBlogQuery, PUBLIC_BLOG_SORT } from "../models/blog.model.js";
+import { Reaction } from "../models/reaction.model.js";
+import { ApiError } from "../utils/apiError.js";
+import { ApiResponse } from "../utils/apiResponse.js";
+
+const findProfile = async (username) => {
+  const user = await User.findOne({ username }).select(PUBLIC_PROFILE_FIELDS);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  return user;
+};
+
+// Public profile of an author, with the number of posts anyone can read
+// and how often they have been shared in total
+const getUserProfile = asyncHandler(async (req, res) => {
+  const user = await findProfile(req.params.username);
+
+  const [stats] = await Blog.aggregate([
+    { $match: { ...publicBlogFilter(), author: user._id } },
+    { $group: { _id: null, postCount: { $sum: 1 }, totalShares: { $sum: "$share" } } },
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...user.toObject(),
+        postCount: stats?.postCount || 0,
+        totalShares: stats?.totalShares || 0,
+      },
+      "User profile fetched successfully"
+    )
+  );
+});
+
+// the author's public posts, newest first, same shape as the public listing
+const getUserPosts = asyncHandler(async (req, res) => {
+  const user = await findProfile(req.params.username);
+
+  const { page, limit, tag } = req.query;
+  const pageNumber = parseInt(page) || 1;
+  const pageSize = parseInt(limit) || 10;
+  const filters = publicBlogQuery({ tag, author: user._id });
+
+  const blogs = await Blog.find(filters)
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize)
+    .populate("author", AUTHOR_FIELDS)
+    .sort(PUBLIC_BLOG_SORT);
+  const totalBlogs = await Blog.countDocuments(filters);
+
+  const myReactions = await Reaction.typesByPost(req.user?._id, blogs.map((blog) => blog._id));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        blogs: blogs.map((blog) => ({
+          ...blog.toObject(),
+          myReactions: myReactions[blog._id.toString()] || [],
+        })),
+        totalBlogs,
+        totalPages: Math.ceil(totalBlogs / pageSize),
+        currentPage: pageNumber,
+      },
+      "User posts fetched successfully"
+    )
+  );
+});
+
+export { getUserProfile, getUserPosts };
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import {Blog, publicBlogFilter} from '../models/blog.model.js';
+import {Reaction, REACTION_TYPES} from '../models/reaction.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+// add the reaction if the user has not left it yet, remove it otherwise
+const toggleReaction = asyncHandler(async (req, res) => {
+    const { id, type } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+    if (!REACTION_TYPES.includes(type)) {
+        throw new ApiError(400, `type must be one of ${REACTION_TYPES.join(', ')}`);
+    }
+
+    const blog = await Blog.findOne({ _id: id, ...publicBlogFilter() });
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    const reaction = { post: blog._id, user: req.user._id, type };
+    let reacted;
+
+    const removed = await Reaction.deleteOne(reaction);
+    if (removed.deletedCount) {
+        reacted = false;
+    } else {
+        try {
+            await Reaction.create(reaction);
+            reacted = true;
+        } catch (error) {
+            // a parallel request already added it, the unique index kept it to one
+            if (error.code !== 11000) {
+                throw error;
+            }
+            return res
+                .status(200)
+                .json(new ApiResponse(200, { type, reacted: true, reactionCounts: blog.reactionCounts }, 'Reaction updated successfully'));
+        }
+    }
+
+    // only the request that actually changed a reaction document touches the counter,
+    // and without bumping updatedAt so the post does not look edited in the feeds
+    const updatedBlog = await Blog.findByIdAndUpdate(
+        blog._id,
+        { $inc: { [`reactionCounts.${type}`]: reacted ? 1 : -1 } },
+        { new: true, timestamps: false }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { type, reacted, reactionCounts: updatedBlog.reactionCounts }, 'Reaction updated successfully'));
+});
+
+export { toggleReaction };
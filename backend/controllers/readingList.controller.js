@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import {Blog, publicBlogFilter} from '../models/blog.model.js';
+import {ReadingList} from '../models/readingList.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const VISIBILITIES = ['private', 'public'];
+
+const findOwnedList = async (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid reading list ID');
+    }
+    const list = await ReadingList.findById(id);
+    if (!list) {
+        throw new ApiError(404, 'Reading list not found');
+    }
+    if (list.owner.toString() !== userId.toString()) {
+        throw new ApiError(403, 'You are not authorized to change this reading list');
+    }
+    return list;
+}
+
+const validateName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ApiError(400, 'name is required');
+    }
+}
+
+const validateVisibility = (visibility) => {
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        throw new ApiError(400, `visibility must be one of ${VISIBILITIES.join(', ')}`);
+    }
+}
+
+// a duplicate name hits the unique index, turn that into a readable error
+const saveList = async (list) => {
+    try {
+        return await list.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(400, 'You already have a reading list with this name');
+        }
+        throw error;
+    }
+}
+
+// all reading lists of the logged-in user, without the posts themselves
+const getMyReadingLists = asyncHandler(async (req, res) => {
+    const lists = await ReadingList.find({ owner: req.user._id }).sort({ createdAt: 1 });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { readingLists: lists }, 'Reading lists fetched successfully'));
+});
+
+// a single list with its posts, public lists can be read by anyone
+const getReadingList = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid reading list ID');
+    }
+
+    const list = await ReadingList.findById(id)
+        .populate('owner', 'username')
+        .populate({
+            path: 'posts.blog',
+            match: publicBlogFilter(),
+            select: 'title slug description theme tags author createdAt',
+            populate: { path: 'author', select: 'username' },
+        });
+
+    const isOwner = req.user && list?.owner._id.toString() === req.user._id.toString();
+    if (!list || (list.visibility !== 'public' && !isOwner)) {
+        throw new ApiError(404, 'Reading list not found');
+    }
+
+    // posts that were deleted or unpublished since they were bookmarked are left out
+    const readingList = list.toObject();
+    readingList.posts = readingList.posts.filter((post) => post.blog);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, readingList, 'Reading list fetched successfully'));
+});
+
+const createReadingList = asyncHandler(async (req, res) => {
+    const { name, visibility } = req.body;
+    validateName(name);
+    validateVisibility(visibility);
+
+    const list = await saveList(new ReadingList({
+        owner: req.user._id,
+        name,
+        visibility,
+    }));
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, list, 'Reading list created successfully'));
+});
+
+// rename and / or change visibility
+const updateReadingList = asyncHandler(async (req, res) => {
+    const { name, visibility } = req.body;
+    if (name !== undefined) {
+        validateName(name);
+    }
+    validateVisibility(visibility);
+
+    const list = await findOwnedList(req.params.id, req.user._id);
+    if (name !== undefined) {
+        list.name = name;
+    }
+    if (visibility !== undefined) {
+        list.visibility = visibility;
+    }
+    const updatedList = await saveList(list);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedList, 'Reading list updated successfully'));
+});
+
+const deleteReadingList = asyncHandler(async (req, res) => {
+    const list = await findOwnedList(req.params.id, req.user._id);
+    await list.deleteOne();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: list._id }, 'Reading list deleted successfully'));
+});
+
+// bookmark a post into a list, adding the same post twice is a no-op
+const addPostToReadingList = asyncHandler(async (req, res) => {
+    const { blogId } = req.params;
+    if (!mongoose.isValidObjectId(blogId)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+
+    const list = await findOwnedList(req.params.id, req.user._id);
+    const blog = await Blog.exists({ _id: blogId, ...publicBlogFilter() });
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+
+    const updatedList = await ReadingList.findOneAndUpdate(
+        { _id: list._id, 'posts.blog': { $ne: blogId } },
+        { $push: { posts: { blog: blogId } } },
+        { new: true }
+    ) || list;
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedList, 'Post added to reading list'));
+});
+
+const removePostFromReadingList = asyncHandler(async (req, res) => {
+    const { blogId } = req.params;
+    if (!mongoose.isValidObjectId(blogId)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+
+    const list = await findOwnedList(req.params.id, req.user._id);
+    const updatedList = await ReadingList.findByIdAndUpdate(
+        list._id,
+        { $pull: { posts: { blog: blogId } } },
+        { new: true }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedList, 'Post removed from reading list'));
+});
+
+export {
+    getMyReadingLists,
+    getReadingList,
+    createReadingList,
+    updateReadingList,
+    deleteReadingList,
+    addPostToReadingList,
+    removePostFromReadingList
+};
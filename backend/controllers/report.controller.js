@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import {Blog, publicBlogFilter} from '../models/blog.model.js';
+import {Report, REPORT_REASONS} from '../models/report.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const DEFAULT_HIDE_THRESHOLD = 3;
+
+// open reports from this many readers hide a post until a moderator reviews it
+const reportHideThreshold = () =>
+    parseInt(process.env.REPORT_HIDE_THRESHOLD) || DEFAULT_HIDE_THRESHOLD;
+
+// report a public post, reporting it again only updates the reader's own report
+const reportBlog = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason, note } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+        throw new ApiError(400, `reason must be one of ${REPORT_REASONS.join(', ')}`);
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        throw new ApiError(400, 'The note must be text');
+    }
+    if (note && note.length > 1000) {
+        throw new ApiError(400, 'The note can be at most 1000 characters long');
+    }
+
+    const blog = await Blog.findOne({ _id: id, ...publicBlogFilter() }).select('author');
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    if (blog.author.equals(req.user._id)) {
+        throw new ApiError(400, 'You cannot report your own post');
+    }
+
+    let report = await Report.findOne({ blog: blog._id, reporter: req.user._id });
+    if (report && report.status !== 'open') {
+        throw new ApiError(409, 'Your report on this post has already been reviewed');
+    }
+    const isNew = !report;
+    if (isNew) {
+        report = new Report({ blog: blog._id, reporter: req.user._id });
+    }
+    report.reason = reason;
+    report.note = note?.trim() || undefined;
+    await report.save();
+
+    if (isNew) {
+        const openReports = await Report.countDocuments({ blog: blog._id, status: 'open' });
+        if (openReports >= reportHideThreshold()) {
+            await Blog.updateOne(
+                { _id: blog._id, hiddenForReviewAt: { $exists: false } },
+                { $set: { hiddenForReviewAt: new Date() } }
+            );
+        }
+    }
+
+    return res
+        .status(isNew ? 201 : 200)
+        .json(new ApiResponse(isNew ? 201 : 200, {
+            _id: report._id,
+            reason: report.reason,
+            note: report.note,
+            status: report.status
+        }, isNew ? 'Thanks, the post has been reported' : 'Your report has been updated'));
+});
+
+export { reportBlog };
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import {Blog} from '../models/blog.model.js';
+import {Revision} from '../models/revision.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { wordDiff } from '../utils/wordDiff.js';
+import { htmlToText } from '../utils/text.js';
+import { sanitizeContent } from '../utils/sanitize.js';
+
+// only the owner of a blog can look at or restore its history
+const findOwnedBlog = async (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid blog post ID');
+    }
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        throw new ApiError(404, 'Blog post not found');
+    }
+    if (blog.author.toString() !== userId.toString()) {
+        throw new ApiError(403, 'You are not authorized to view the history of this blog');
+    }
+    return blog;
+}
+
+const findRevision = async (blogId, revisionId) => {
+    if (!mongoose.isValidObjectId(revisionId)) {
+        throw new ApiError(400, 'Invalid revision ID');
+    }
+    const revision = await Revision.findOne({ _id: revisionId, blog: blogId });
+    if (!revision) {
+        throw new ApiError(404, 'Revision not found');
+    }
+    return revision;
+}
+
+// list all revisions of a blog, newest first
+const getRevisions = asyncHandler(async (req, res) => {
+    const blog = await findOwnedBlog(req.params.id, req.user._id);
+
+    const revisions = await Revision.find({ blog: blog._id })
+        .select('-content')
+        .populate('author', 'username')
+        .sort({ createdAt: -1 });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { revisions }, 'Revisions fetched successfully'));
+});
+
+// word level diff between two revisions, ?from=<revisionId>&to=<revisionId>
+const diffRevisions = asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    if (!from || !to) {
+        throw new ApiError(400, 'from and to revision IDs are required');
+    }
+
+    const blog = await findOwnedBlog(req.params.id, req.user._id);
+    const fromRevision = await findRevision(blog._id, from);
+    const toRevision = await findRevision(blog._id, to);
+
+    const diff = {
+        title: wordDiff(fromRevision.title, toRevision.title),
+        description: wordDiff(fromRevision.description, toRevision.description),
+        content: wordDiff(htmlToText(fromRevision.content), htmlToText(toRevision.content)),
+        theme: wordDiff(fromRevision.theme, toRevision.theme),
+    };
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            from: { _id: fromRevision._id, createdAt: fromRevision.createdAt },
+            to: { _id: toRevision._id, createdAt: toRevision.createdAt },
+            diff
+        }, 'Revision diff generated successfully'));
+});
+
+// make an old revision the current version of the blog
+// the restore itself is a save, so it gets its own revision as well
+const restoreRevision = asyncHandler(async (req, res) => {
+    const blog = await findOwnedBlog(req.params.id, req.user._id);
+    const revision = await findRevision(blog._id, req.params.revisionId);
+
+    blog.title = revision.title;
+    blog.description = revision.description;
+    // revisions may predate sanitization, clean them like any other update
+    blog.content = sanitizeContent(revision.content);
+    blog.theme = revision.theme;
+
+    const restoredBlog = await blog.save();
+    await Revision.record(restoredBlog, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, restoredBlog, 'Revision restored successfully'));
+});
+
+export { getRevisions, diffRevisions, restoreRevision };
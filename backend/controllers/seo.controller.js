@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import {Blog, publicBlogFilter} from '../models/blog.model.js';
+import {User, AUTHOR_FIELDS, PUBLIC_PROFILE_FIELDS} from '../models/user.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeXml } from '../utils/feed.js';
+import { renderPage, SITE_NAME } from '../utils/pageMeta.js';
+import { siteUrl, postPath, authorPath, assetUrl } from '../utils/url.js';
+
+// the production build of the frontend, served by this app so post pages can carry meta tags
+export const FRONTEND_DIST = path.resolve(process.env.FRONTEND_DIST || '../frontend/dist');
+
+// the built index.html does not change while the server runs, read it once
+let template;
+const loadTemplate = async () => {
+    if (template === undefined) {
+        template = await fs.readFile(path.join(FRONTEND_DIST, 'index.html'), 'utf8').catch(() => null);
+    }
+    return template;
+}
+
+const sendHtml = (res, html) => res
+    .status(200)
+    .type('html')
+    .send(html);
+
+// biggest generated size is the best fit for link previews
+const coverImage = (blog) => {
+    if (!blog.cover?.url) return undefined;
+    const largest = blog.cover.variants?.at(-1);
+    return assetUrl(largest?.url || blog.cover.url);
+}
+
+const sendBlogPage = async (res, blog) => {
+    const html = await loadTemplate();
+    const url = siteUrl(postPath(blog));
+    const image = coverImage(blog);
+    const publishedTime = blog.publishedAt || blog.createdAt;
+
+    return sendHtml(res, renderPage(html, {
+        title: blog.title,
+        description: blog.description,
+        url,
+        image,
+        type: 'article',
+        publishedTime,
+        modifiedTime: blog.updatedAt,
+        author: blog.author.displayName || blog.author.username,
+        tags: blog.tags,
+        structuredData: {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: blog.title,
+            description: blog.description,
+            image: image ? [image] : undefined,
+            datePublished: publishedTime.toISOString(),
+            dateModified: blog.updatedAt.toISOString(),
+            author: {
+                '@type': 'Person',
+                name: blog.author.displayName || blog.author.username,
+                url: siteUrl(authorPath(blog.author)),
+            },
+            publisher: { '@type': 'Organization', name: SITE_NAME },
+            mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+            keywords: blog.tags?.length ? blog.tags.join(', ') : undefined,
+        },
+    }));
+}
+
+// /blog/:id, drafts and unknown ids get the plain app, which shows its own "not found"
+const getBlogPage = asyncHandler(async (req, res, next) => {
+    const html = await loadTemplate();
+    if (!html) return next();
+
+    const { id } = req.params;
+    const blog = mongoose.isValidObjectId(id)
+        ? await Blog.findOne({ _id: id, ...publicBlogFilter() }).populate('author', AUTHOR_FIELDS)
+        : null;
+    if (!blog) return sendHtml(res, html);
+
+    return sendBlogPage(res, blog);
+});
+
+// /@username/slug permalinks, old slugs redirect like the API does
+const getBlogPageBySlug = asyncHandler(async (req, res, next) => {
+    const html = await loadTemplate();
+    const { handle, slug } = req.params;
+    if (!html || !handle.startsWith('@')) return next();
+
+    const author = await User.findOne({ username: handle.slice(1) }).select('_id username');
+    if (!author) return sendHtml(res, html);
+
+    const filters = { ...publicBlogFilter(), author: author._id };
+    const blog = await Blog.findOne({ ...filters, slug }).populate('author', AUTHOR_FIELDS);
+    if (!blog) {
+        const renamed = await Blog.findOne({ ...filters, oldSlugs: slug }).select('slug');
+        if (renamed) {
+            return res.redirect(301, postPath({ ...renamed.toObject(), author }));
+        }
+        return sendHtml(res, html);
+    }
+
+    return sendBlogPage(res, blog);
+});
+
+// /u/:username author profiles
+const getAuthorPage = asyncHandler(async (req, res, next) => {
+    const html = await loadTemplate();
+    if (!html) return next();
+
+    const author = await User.findOne({ username: req.params.username }).select(PUBLIC_PROFILE_FIELDS);
+    if (!author) return sendHtml(res, html);
+
+    const name = author.displayName || author.username;
+    const url = siteUrl(authorPath(author));
+    const image = assetUrl(author.avatar) || undefined;
+    return sendHtml(res, renderPage(html, {
+        title: name,
+        description: author.bio || `Posts by ${name} on ${SITE_NAME}`,
+        url,
+        image,
+        type: 'profile',
+        structuredData: {
+            '@context': 'https://schema.org',
+            '@type': 'ProfilePage',
+            mainEntity: {
+                '@type': 'Person',
+                name,
+                alternateName: author.username,
+                description: author.bio || undefined,
+                image,
+                url,
+                sameAs: author.links.length ? author.links.map((link) => link.url) : undefined,
+            },
+        },
+    }));
+});
+
+// every other page of the SPA, client side routing takes it from there
+const getAppPage = asyncHandler(async (req, res, next) => {
+    // unknown API, feed and upload URLs stay real 404s
+    if (/^\/(api|feeds|uploads)\//.test(req.path)) return next();
+
+    const html = await loadTemplate();
+    if (!html) return next();
+    return sendHtml(res, html);
+});
+
+const getSitemap = asyncHandler(async (req, res) => {
+    const blogs = await Blog.find(publicBlogFilter())
+        .select('slug author updatedAt')
+        .populate('author', 'username')
+        .sort({ updatedAt: -1 })
+        // one sitemap file may list at most 50,000 URLs
+        .limit(45000)
+        .lean();
+
+    // author pages, with the date of their latest post change
+    const authors = new Map();
+    for (const blog of blogs) {
+        if (blog.author && !authors.has(blog.author.username)) {
+            authors.set(blog.author.username, blog.updatedAt);
+        }
+    }
+
+    const urls = [
+        { loc: siteUrl('/') },
+        { loc: siteUrl('/blogs'), lastmod: blogs[0]?.updatedAt },
+        ...blogs.filter((blog) => blog.author).map((blog) => ({ loc: siteUrl(postPath(blog)), lastmod: blog.updatedAt })),
+        ...[...authors].map(([username, lastmod]) => ({ loc: siteUrl(authorPath({ username })), lastmod })),
+    ];
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(({ loc, lastmod }) => `<url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+
+    return res
+        .status(200)
+        .set('Cache-Control', 'public, max-age=3600')
+        .type('application/xml')
+        .send(xml);
+});
+
+const getRobots = (req, res) => res
+    .status(200)
+    .type('text/plain')
+    .send([
+        'User-agent: *',
+        'Allow: /',
+        // private pages of the app and the API
+        'Disallow: /api/',
+        'Disallow: /dashboard',
+        'Disallow: /compose',
+        'Disallow: /edit/',
+        'Disallow: /reading-lists',
+        'Disallow: /settings',
+        'Disallow: /admin',
+        '',
+        `Sitemap: ${siteUrl('/sitemap.xml')}`,
+        '',
+    ].join('\n'));
+
+export { getBlogPage, getBlogPageBySlug, getAuthorPage, getAppPage, getSitemap, getRobots };
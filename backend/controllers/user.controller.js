@@ -1,33 +1,106 @@
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { User } from "../models/user.model.js";
+import { User, isAllowedUsername, EMAIL_PATTERN, MAX_PROFILE_LINKS } from "../models/user.model.js";
+import { Blog } from "../models/blog.model.js";
+import { Revision } from "../models/revision.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Reaction } from "../models/reaction.model.js";
+import { Follow } from "../models/follow.model.js";
+import { ReadingList } from "../models/readingList.model.js";
+import { Media } from "../models/media.model.js";
+import { Session, SESSION_TTL, REUSE_GRACE } from "../models/session.model.js";
+import { UPLOAD_ROOT } from "../middlewares/upload.middleware.js";
 import { ApiError } from "../utils/apiError.js";
 import { ApiResponse } from "../utils/apiResponse.js";
-import jwt from "jsonwebtoken";
+import { createToken, hashToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
+import { siteUrl } from "../utils/url.js";
+import { deleteBlogs } from "../utils/deleteBlogs.js";
+import { assertNotLocked, recordFailedLogin, clearFailedLogins } from "../utils/loginLockout.js";
+import bcrypt from "bcrypt";
 
-// generate AccessTokens and RefreshTokens
-const generateAccessTokensandRefreshTokens = async (userId) => {
-  try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-    const accessToken = await user.generateAccessToken();
-    const refreshToken = await user.generateRefreshToken();
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000; // 1 day
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 2 * 24 * 60 * 60 * 1000; // 2 days
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+// compared against when nobody has the given email or username, so that takes as long as a real check
+let dummyHash;
+const dummyPasswordHash = async () => {
+  dummyHash ??= await bcrypt.hash("not-a-real-password", 10);
+  return dummyHash;
+};
 
-    return {
-      accessToken,
-      refreshToken,
-    };
-  } catch (error) {
-    throw new ApiError(
-      500,
-      "Something went wrong while generating the tokens",
-      error.message
-    );
+const authCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "Strict",
+  maxAge: 24 * 60 * 60 * 1000,
+};
+
+// the refresh cookie lives as long as the session it belongs to
+const refreshCookieOptions = {
+  ...authCookieOptions,
+  maxAge: SESSION_TTL,
+};
+
+const USERNAME_RULES = "Username must be 3-30 letters, numbers, dots, dashes or underscores and cannot be a reserved name";
+
+// stores a new verification token on the user and emails the link
+const sendVerificationEmail = async (user) => {
+  const { token, hash } = createToken();
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Blogbook email address",
+    text: `Welcome to Blogbook, ${user.username}!\nOpen this link to verify your email address and start publishing:\n${siteUrl(`/verify-email?token=${token}`)}\n\nThe link expires in 2 days.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const { token, hash } = createToken();
+  user.passwordResetToken = hash;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Blogbook password",
+    text: `Open this link to choose a new password:\n${siteUrl(`/reset-password?token=${token}`)}\n\nThe link expires in 1 hour. If you did not ask for it, you can ignore this email.`,
+  });
+};
+
+// settings endpoints that need the password again before doing anything.
+// A wrong password is a 403: the client reads a 401 as an expired access token
+const requirePassword = async (userId, password) => {
+  if (!password || typeof password !== "string") {
+    throw new ApiError(400, "Current password is required");
   }
+  const user = await User.findById(userId);
+  if (!user || !(await user.isPasswordCorrect(password))) {
+    throw new ApiError(403, "Current password is incorrect");
+  }
+  return user;
+};
+
+// generate AccessTokens and RefreshTokens: a login starts a new session (device),
+// a refresh rotates the refresh token of the session it came from
+const generateAccessTokensandRefreshTokens = async (user, req, session) => {
+  let refreshToken;
+  if (session) {
+    refreshToken = await session.rotate(req);
+    if (!refreshToken) {
+      throw new ApiError(409, "The session was just refreshed, please retry");
+    }
+  } else {
+    ({ session, refreshToken } = await Session.start(user._id, req));
+  }
+  const accessToken = await user.generateAccessToken(session._id);
+  return { accessToken, refreshToken };
 };
 
 // Register a new user
@@ -38,6 +111,9 @@ const registerUser = asyncHandler(async (req, res) => {
   if (!username || !email || !password) {
     throw new ApiError(400, "username, email and password are required");
   }
+  if (!isAllowedUsername(username)) {
+    throw new ApiError(400, USERNAME_RULES);
+  }
 
   // Check if the user already exists
   const existingUser = await User.findOne({
@@ -51,8 +127,16 @@ const registerUser = asyncHandler(async (req, res) => {
     username,
     email,
     password,
+    emailVerified: false,
   });
 
+  // the account works without it, the link can be sent again from the dashboard
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (error) {
+    console.error("Failed to send the verification email:", error.message);
+  }
+
   const createdUser = await User.findById(newUser._id).select(
     "-password -refreshToken"
   );
@@ -72,26 +156,37 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Email or username is required");
   }
   // the user should provide either email or username
-  if (!password) {
+  if (!password || typeof password !== "string") {
     throw new ApiError(400, "Password is required");
   }
-  const user = await User.findOne({
-    $or: [{ email }, { username }],
-  });
+  // strings only, an object here would be read as a query operator
+  const login = String(email || username);
+  const user = await User.findOne(email ? { email: login } : { username: login });
 
-  if (!user) {
-    throw new ApiError(404, "User not found");
-  }
+  // unknown accounts go through the same lockout and the same password check,
+  // so neither the answer nor its timing tells whether the account exists
+  const account = user ? user._id.toString() : `unknown:${login.toLowerCase()}`;
+  await assertNotLocked(account);
 
-  // Check if the password is correct
-  const isPasswordValid = await user.isPasswordCorrect(password);
+  let isPasswordValid = false;
+  if (user) {
+    isPasswordValid = await user.isPasswordCorrect(password);
+  } else {
+    await bcrypt.compare(password, await dummyPasswordHash());
+  }
 
   if (!isPasswordValid) {
-    throw new ApiError(401, "Invalid password");
+    await recordFailedLogin(account);
+    throw new ApiError(401, "Invalid login or password");
+  }
+  await clearFailedLogins(account);
+
+  if (user.suspendedAt) {
+    throw new ApiError(403, "Your account has been suspended");
   }
 
   const { accessToken, refreshToken } =
-    await generateAccessTokensandRefreshTokens(user._id);
+    await generateAccessTokensandRefreshTokens(user, req);
 
   const loggedInUser = await User.findById(user._id).select(
     "-password -refreshToken"
@@ -99,16 +194,10 @@ const loginUser = asyncHandler(async (req, res) => {
   if (!loggedInUser) {
     throw new ApiError(500, "Login failed");
   }
-  const options = {
-    httpOnly: true,
-    secure: true,
-    sameSite: "Strict",
-    maxAge: 24 * 60 * 60 * 1000,
-  };
   return res
     .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
+    .cookie("accessToken", accessToken, authCookieOptions)
+    .cookie("refreshToken", refreshToken, refreshCookieOptions)
     .json(
       new ApiResponse(200, "Login successful", {
         user: loggedInUser,
@@ -118,34 +207,24 @@ const loginUser = asyncHandler(async (req, res) => {
     );
 });
 
-// Logout a user
+// Logout a user, only this device: its session is revoked
 const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: {
-        refreshToken: 1, // this removes the field from document
-      },
-    },
-    {
-      new: true,
-    }
-  );
-
-  const options = {
-    httpOnly: true,
-    secure: true,
-  };
-  console.log("Details of the user logged out", req.user);
+  const session = req.cookies?.refreshToken
+    ? await Session.findByToken(req.cookies.refreshToken)
+    : await Session.findById(req.sessionId);
+  if (session?.user.equals(req.user._id) && session.isActive()) {
+    await session.revoke("logout");
+  }
 
   return res
     .status(200)
-    .clearCookie("accessToken", options)
-    .clearCookie("refreshToken", options)
+    .clearCookie("accessToken", authCookieOptions)
+    .clearCookie("refreshToken", authCookieOptions)
     .json(new ApiResponse(200, {}, "User logged Out"));
 });
 
-// refresh access token
+// refresh access token, the refresh token is used up and replaced by a new one.
+// A token that was already replaced means two parties hold it, so the session is ended.
 const refreshAccessToken = asyncHandler(async (req, res) => {
   const incomingRefreshToken =
     req.cookies.refreshToken || req.body.refreshToken;
@@ -153,47 +232,445 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
   if (!incomingRefreshToken) {
     throw new ApiError(401, "Refresh token is required");
   }
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+
+  const session = await Session.findByToken(incomingRefreshToken);
+  if (!session) {
+    const reused = await Session.findOne({ usedTokenHashes: hashToken(incomingRefreshToken) })
+      .select("+usedTokenHashes");
+    // another tab of the same browser refreshing at the same moment is not an attack,
+    // the cookie already holds the new token so the request can simply be retried
+    const isRace = reused?.usedTokenHashes.at(-1) === hashToken(incomingRefreshToken)
+      && Date.now() - reused.rotatedAt < REUSE_GRACE;
+    if (isRace && reused.isActive()) {
+      throw new ApiError(409, "The session was just refreshed, please retry");
+    }
+    if (reused?.isActive()) {
+      await reused.revoke("reuse");
+    }
+    res.clearCookie("accessToken", authCookieOptions).clearCookie("refreshToken", authCookieOptions);
+    throw new ApiError(401, "Refresh token is expired or used");
+  }
+  if (!session.isActive()) {
+    res.clearCookie("accessToken", authCookieOptions).clearCookie("refreshToken", authCookieOptions);
+    throw new ApiError(401, "Session expired, please log in again");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    throw new ApiError(401, "Token is invalid or user not found");
+  }
+  if (user.suspendedAt) {
+    throw new ApiError(403, "Your account has been suspended");
+  }
+
+  const { accessToken, refreshToken } =
+    await generateAccessTokensandRefreshTokens(user, req, session);
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, authCookieOptions)
+    .cookie("refreshToken", refreshToken, refreshCookieOptions)
+    .json(
+      new ApiResponse(200, "Access token refreshed successfully", {
+        accessToken,
+        refreshToken,
+      })
     );
-    const user = await User.findById(decodedToken._id);
-    if (!user) {
-      throw new ApiError(401, "Token is invalid or user not found");
+});
+
+// The logged-in user as the settings and the navbar need it, email and role included
+const getCurrentUser = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(new ApiResponse(200, req.user, "Current user fetched successfully"));
+});
+
+// Update the public profile and the username of the logged-in user.
+// Only the fields that were sent are changed, an empty string clears an optional field.
+const updateProfile = asyncHandler(async (req, res) => {
+  const { username, displayName, bio, avatar, links } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (username !== undefined && username !== user.username) {
+    if (!isAllowedUsername(username)) {
+      throw new ApiError(400, USERNAME_RULES);
+    }
+    if (await User.exists({ username })) {
+      throw new ApiError(409, "Username is already taken");
+    }
+    user.username = username;
+  }
+
+  for (const [key, value] of Object.entries({ displayName, bio })) {
+    if (value !== undefined) {
+      user[key] = value || undefined;
+    }
+  }
+
+  if (avatar !== undefined) {
+    // our own uploads or an external image
+    if (avatar && !/^(\/uploads\/|https?:\/\/)\S+$/i.test(avatar)) {
+      throw new ApiError(400, "avatar must be an uploaded image or an http(s) URL");
     }
-    if (user.refreshToken !== incomingRefreshToken) {
-      throw new ApiError(401, "Refresh token is expired or used");
+    user.avatar = avatar || undefined;
+  }
+
+  if (links !== undefined) {
+    if (!Array.isArray(links) || links.length > MAX_PROFILE_LINKS) {
+      throw new ApiError(400, `links must be a list of at most ${MAX_PROFILE_LINKS} links`);
     }
+    user.links = links
+      .filter((link) => link?.url)
+      .map((link) => ({ label: link.label, url: link.url }));
+  }
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-      sameSite: "Strict",
-      maxAge: 24 * 60 * 60 * 1000, // 1 day
-    };
-    const { accessToken, newRefreshToken } =
-      await generateAccessTokensandRefreshTokens(user._id);
-
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(200, "Access token refreshed successfully", {
-          accessToken,
-          newRefreshToken,
-        })
-      );
+  try {
+    await user.save();
   } catch (error) {
-    console.error("JWT verification error:", error.name, "-", error.message);
-    return res.status(500).json({
-      success: false,
-      message: "Token refresh failed",
-      error: error.message,
-      type: error.name,
+    if (error.name === "ValidationError") {
+      throw new ApiError(400, Object.values(error.errors)[0].message);
+    }
+    // someone took the username in the meantime
+    if (error.code === 11000) {
+      throw new ApiError(409, "Username is already taken");
+    }
+    throw error;
+  }
+
+  const updatedUser = await User.findById(user._id).select("-password -refreshToken");
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "Profile updated successfully"));
+});
+
+// Change the password. Every other session is logged out: their sessions are
+// revoked and older access tokens are rejected by verifyJWT.
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await requirePassword(req.user._id, currentPassword);
+
+  if (typeof newPassword !== "string" || newPassword.length < 8) {
+    throw new ApiError(400, "New password must be at least 8 characters long");
+  }
+  if (newPassword === currentPassword) {
+    throw new ApiError(400, "New password must be different from the current one");
+  }
+
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await Session.revokeAll(user._id, "password_change", req.sessionId);
+
+  // keep this session logged in with fresh tokens
+  const session = req.sessionId ? await Session.findById(req.sessionId) : null;
+  const { accessToken, refreshToken } = await generateAccessTokensandRefreshTokens(
+    user,
+    req,
+    session?.isActive() ? session : undefined
+  );
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, authCookieOptions)
+    .cookie("refreshToken", refreshToken, refreshCookieOptions)
+    .json(new ApiResponse(200, { accessToken, refreshToken }, "Password changed successfully"));
+});
+
+// Start an email change: the new address only replaces the old one once
+// the link sent to it has been opened.
+const requestEmailChange = asyncHandler(async (req, res) => {
+  const { newEmail, password } = req.body;
+  const user = await requirePassword(req.user._id, password);
+
+  const email = typeof newEmail === "string" ? newEmail.trim() : "";
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    throw new ApiError(400, "Please enter a valid email address");
+  }
+  if (email === user.email) {
+    throw new ApiError(400, "This is already your email address");
+  }
+  if (await User.exists({ email })) {
+    throw new ApiError(409, "Email is already in use");
+  }
+
+  const { token, hash } = createToken();
+  user.pendingEmail = email;
+  user.emailChangeToken = hash;
+  user.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE_TTL);
+  await user.save();
+
+  await sendMail({
+    to: email,
+    subject: "Confirm your new email address",
+    text: `Open this link to use ${email} for your Blogbook account:\n${siteUrl(`/confirm-email?token=${token}`)}\n\nThe link expires in 24 hours.`,
+  });
+  await sendMail({
+    to: user.email,
+    subject: "Your email address is being changed",
+    text: `Someone asked to change the email of your Blogbook account to ${email}. If this was not you, change your password now.`,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { pendingEmail: email }, "Confirmation link sent to the new address"));
+});
+
+// the link from the confirmation email, the token itself proves who is asking
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  if (!token || typeof token !== "string") {
+    throw new ApiError(400, "Token is required");
+  }
+
+  const user = await User.findOne({
+    emailChangeToken: hashToken(token),
+    emailChangeExpires: { $gt: new Date() },
+  });
+  if (!user) {
+    throw new ApiError(400, "This link is invalid or has expired");
+  }
+  if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+    throw new ApiError(409, "Email is already in use");
+  }
+
+  user.email = user.pendingEmail;
+  // the link was opened from the new inbox, so the new address is verified too
+  user.emailVerified = true;
+  user.pendingEmail = undefined;
+  user.emailChangeToken = undefined;
+  user.emailChangeExpires = undefined;
+  await user.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { email: user.email }, "Email address updated"));
+});
+
+// the link from the verification email
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+  if (!token || typeof token !== "string") {
+    throw new ApiError(400, "Token is required");
+  }
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+  if (!user) {
+    throw new ApiError(400, "This link is invalid or has expired");
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { emailVerified: true }, "Email address verified"));
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (user.emailVerified !== false) {
+    throw new ApiError(400, "Email address is already verified");
+  }
+
+  await sendVerificationEmail(user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
+// Send a password reset link. The answer is the same whether the address
+// belongs to an account or not, so this cannot be used to find out who is registered.
+const forgotPassword = asyncHandler(async (req, res) => {
+  if (typeof req.body.email !== "string" || !req.body.email.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+  const email = req.body.email.trim();
+
+  const user = await User.findOne({ email, isGhost: { $ne: true } });
+  if (user) {
+    // not awaited: answering only after the mail went out would tell
+    // from the response time alone whether the account exists
+    sendPasswordResetEmail(user).catch((error) => {
+      console.error("Failed to send the password reset email:", error.message);
     });
   }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "If an account exists for this email, a reset link has been sent"));
+});
+
+// Set a new password with the token from the reset link. The token works once,
+// and every existing session is logged out like after a password change.
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || typeof token !== "string") {
+    throw new ApiError(400, "Token is required");
+  }
+  if (typeof password !== "string" || password.length < 8) {
+    throw new ApiError(400, "Password must be at least 8 characters long");
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+  if (!user) {
+    throw new ApiError(400, "This link is invalid or has expired");
+  }
+
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+  await Session.revokeAll(user._id, "password_reset");
+  // the emailed link proves the account is theirs, no need to wait out a lockout
+  await clearFailedLogins(user._id.toString());
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password has been reset, you can now sign in"));
 });
 
-export { registerUser, loginUser, logoutUser, refreshAccessToken };
+// Remove everything that only makes sense with the account: reactions,
+// follows, reading lists, and comments (kept as "[deleted]" when they have replies).
+const removeUserActivity = async (userId) => {
+  const reactions = await Reaction.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: { post: "$post", type: "$type" }, count: { $sum: 1 } } },
+  ]);
+  if (reactions.length) {
+    await Blog.bulkWrite(reactions.map(({ _id, count }) => ({
+      updateOne: {
+        filter: { _id: _id.post },
+        update: { $inc: { [`reactionCounts.${_id.type}`]: -count } },
+        timestamps: false,
+      },
+    })));
+  }
+  await Reaction.deleteMany({ user: userId });
+
+  const following = await Follow.find({ follower: userId }).distinct("following");
+  const followers = await Follow.find({ following: userId }).distinct("follower");
+  await User.updateMany({ _id: { $in: following } }, { $inc: { followersCount: -1 } });
+  await User.updateMany({ _id: { $in: followers } }, { $inc: { followingCount: -1 } });
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+
+  await ReadingList.deleteMany({ owner: userId });
+  await Session.deleteMany({ user: userId });
+
+  const comments = await Comment.find({ author: userId }).distinct("_id");
+  const replied = await Comment.find({ parent: { $in: comments } }).distinct("parent");
+  await Comment.updateMany({ _id: { $in: replied } }, { $set: { deleted: true, body: "[deleted]" } });
+  await Comment.deleteMany({ _id: { $in: comments, $nin: replied } });
+};
+
+// Delete the account. posts = "delete" removes the posts with everything
+// attached to them, posts = "anonymize" keeps them under the "Deleted user" account.
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, posts } = req.body;
+  if (!["delete", "anonymize"].includes(posts)) {
+    throw new ApiError(400, "posts must be either delete or anonymize");
+  }
+  const user = await requirePassword(req.user._id, password);
+
+  const blogIds = await Blog.find({ author: user._id }).distinct("_id");
+  if (posts === "delete") {
+    await deleteBlogs(blogIds);
+    await Media.deleteMany({ owner: user._id });
+    await fs.rm(path.join(UPLOAD_ROOT, user._id.toString()), { recursive: true, force: true });
+  } else {
+    const ghost = await User.ghost();
+    // slugs are only unique per author, the posts keep working through /blog/:id
+    await Blog.updateMany(
+      { _id: { $in: blogIds } },
+      { $set: { author: ghost._id, oldSlugs: [] }, $unset: { slug: 1 } }
+    );
+    await Revision.updateMany({ blog: { $in: blogIds } }, { $set: { author: ghost._id } });
+    // the uploaded files stay where they are, the kept posts still show them
+  }
+
+  await removeUserActivity(user._id);
+  await user.deleteOne();
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", authCookieOptions)
+    .clearCookie("refreshToken", authCookieOptions)
+    .json(new ApiResponse(200, {}, "Account deleted"));
+});
+
+// The devices the user is signed in on, the one making the request is marked current.
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("device userAgent ip createdAt lastUsedAt")
+    .sort({ lastUsedAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId),
+      })),
+      "Sessions fetched successfully"
+    )
+  );
+});
+
+// Sign one device out. Signing out the current one also clears its cookies.
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid session ID");
+  }
+  const session = await Session.findOne({ _id: id, user: req.user._id });
+  if (!session || !session.isActive()) {
+    throw new ApiError(404, "Session not found");
+  }
+  await session.revoke("user");
+
+  if (session._id.equals(req.sessionId)) {
+    res.clearCookie("accessToken", authCookieOptions).clearCookie("refreshToken", authCookieOptions);
+  }
+  return res.status(200).json(new ApiResponse(200, { _id: session._id }, "Session signed out"));
+});
+
+// Sign out every device except this one.
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Session.revokeAll(req.user._id, "user", req.sessionId);
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { revoked: modifiedCount }, "Other sessions signed out"));
+});
+
+export {
+  registerUser,
+  loginUser,
+  logoutUser,
+  refreshAccessToken,
+  getCurrentUser,
+  updateProfile,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  deleteAccount,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
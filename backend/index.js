@@ -1,6 +1,7 @@
 import dotenv from "dotenv"
 import connectDB from "./config/index.js"
 import {app} from './app.js'
+import { startBlogScheduler } from "./jobs/blogScheduler.js"
 dotenv.config({
     path: './.env'
 })
@@ -12,6 +13,8 @@ connectDB()
     app.listen(process.env.PORT || 8000, () => {
         console.log(`⚙️ Server is running at port : ${process.env.PORT}`);
     })
+    // publishes and unpublishes scheduled blogs
+    startBlogScheduler()
 })
 .catch((err) => {
     console.log("MONGO db connection failed !!! ", err);
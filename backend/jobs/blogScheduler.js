@@ -0,0 +1,91 @@
+import { Blog } from "../models/blog.model.js";
+
+// How often we look for due posts at most, can be tuned with SCHEDULER_INTERVAL_MS.
+// When a post is due sooner than that we wake up right on time instead.
+const DEFAULT_INTERVAL = 60 * 1000;
+
+let timer = null;
+
+// Every job lives in MongoDB (publishAt / unpublishAt on the blog itself),
+// so nothing is lost on restart: the first tick after boot picks up whatever is overdue.
+//
+// Several server instances may run this at the same time. Each flip is a conditional
+// update that only matches while the post is still in its old state, so exactly
+// one instance wins and a post is never published twice.
+const publishDueBlogs = async (now) => {
+    const dueBlogs = await Blog.find({ status: 'draft', publishAt: { $lte: now } })
+        .select('_id publishAt publishedAt');
+
+    let published = 0;
+    for (const blog of dueBlogs) {
+        const result = await Blog.updateOne(
+            { _id: blog._id, status: 'draft', publishAt: blog.publishAt },
+            {
+                $set: { status: 'published', publishedAt: blog.publishedAt || blog.publishAt },
+                $unset: { publishAt: 1 },
+            }
+        );
+        published += result.modifiedCount;
+    }
+    return published;
+}
+
+const unpublishDueBlogs = async (now) => {
+    const dueBlogs = await Blog.find({ status: 'published', unpublishAt: { $lte: now } })
+        .select('_id unpublishAt');
+
+    let unpublished = 0;
+    for (const blog of dueBlogs) {
+        const result = await Blog.updateOne(
+            { _id: blog._id, status: 'published', unpublishAt: blog.unpublishAt },
+            {
+                $set: { status: 'archived' },
+                $unset: { unpublishAt: 1 },
+            }
+        );
+        unpublished += result.modifiedCount;
+    }
+    return unpublished;
+}
+
+// time until the next pending job, capped at the polling interval
+const msUntilNextJob = async (interval) => {
+    const [nextPublish, nextUnpublish] = await Promise.all([
+        Blog.findOne({ status: 'draft', publishAt: { $ne: null } }).sort({ publishAt: 1 }).select('publishAt'),
+        Blog.findOne({ status: 'published', unpublishAt: { $ne: null } }).sort({ unpublishAt: 1 }).select('unpublishAt'),
+    ]);
+
+    const times = [nextPublish?.publishAt, nextUnpublish?.unpublishAt]
+        .filter(Boolean)
+        .map((date) => date.getTime() - Date.now());
+
+    return Math.max(0, Math.min(interval, ...times));
+}
+
+const startBlogScheduler = () => {
+    if (timer) {
+        return;
+    }
+    const interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL;
+
+    const tick = async () => {
+        let delay = interval;
+        try {
+            const now = new Date();
+            const published = await publishDueBlogs(now);
+            const unpublished = await unpublishDueBlogs(now);
+            if (published || unpublished) {
+                console.log(`Scheduler: published ${published}, unpublished ${unpublished} blog(s)`);
+            }
+            delay = await msUntilNextJob(interval);
+        } catch (error) {
+            console.error("Scheduler run failed:", error);
+        }
+        // never spin in a tight loop if something is due right now
+        timer = setTimeout(tick, Math.max(delay, 1000));
+    }
+
+    timer = setTimeout(tick, 0);
+}
+
+export { startBlogScheduler }
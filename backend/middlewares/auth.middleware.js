@@ -2,6 +2,12 @@ import { ApiError } from "../utils/apiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+// access tokens carry the session they were issued for (sid), signing a device out
+// ends them right away instead of when they expire. Older tokens have no sid.
+const isSessionRevoked = async (sessionId) =>
+    Boolean(sessionId) && !(await Session.exists({ _id: sessionId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } }))
 
 export const verifyJWT = asyncHandler(async(req, _, next) => {
     try {
@@ -20,11 +26,54 @@ export const verifyJWT = asyncHandler(async(req, _, next) => {
             
             throw new ApiError(401, "Invalid Access Token")
         }
+
+        // the password was changed since this token was issued
+        if (user.isTokenStale(decodedToken.iat) || await isSessionRevoked(decodedToken.sid)) {
+            throw new ApiError(401, "Session expired, please log in again")
+        }
+
+        if (user.suspendedAt) {
+            throw new ApiError(403, "Your account has been suspended")
+        }
     
         req.user = user;
+        req.sessionId = decodedToken.sid;
         next()
     } catch (error) {
+        // keep our own errors (e.g. 403 for suspended accounts), jwt errors become 401
+        if (error instanceof ApiError) {
+            throw error
+        }
         throw new ApiError(401, error?.message || "Invalid access token")
     }
     
-})
\ No newline at end of file
+})
+
+// Same as verifyJWT but lets anonymous requests through,
+// req.user is only set when a valid access token was sent.
+export const optionalJWT = asyncHandler(async(req, _, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+    if (!token) {
+        return next()
+    }
+    try {
+        const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        if (user && !user.isTokenStale(decodedToken.iat) && !user.suspendedAt && !(await isSessionRevoked(decodedToken.sid))) {
+            req.user = user;
+            req.sessionId = decodedToken.sid;
+        }
+    } catch {
+        // an expired or broken token is treated like no token at all
+    }
+    next()
+})
+
+// Use after verifyJWT: only lets users with one of the given roles through.
+// e.g. router.route("/users").get(verifyJWT, requireRole("moderator", "admin"), listUsers)
+export const requireRole = (...roles) => (req, _, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        throw new ApiError(403, "You are not allowed to do this")
+    }
+    next()
+}
@@ -0,0 +1,27 @@
+import { ApiError } from "../utils/apiError.js";
+
+// Turns every error into the same JSON shape as ApiResponse, { success, message, errors },
+// so the frontend can show `message`. Headers on the error (e.g. Retry-After) are sent along.
+// Unexpected errors only show a generic message.
+// Express only treats it as an error handler because it takes all four arguments.
+export const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+    const statusCode = err.statusCode || err.status || 500
+    const expose = err instanceof ApiError || err.expose
+
+    if (statusCode >= 500) {
+        console.error(err)
+    }
+    if (err.headers) {
+        res.set(err.headers)
+    }
+    res.status(statusCode).json({
+        statusCode,
+        data: null,
+        success: false,
+        message: expose ? err.message : "Something went wrong",
+        errors: err.errors || [],
+    })
+}
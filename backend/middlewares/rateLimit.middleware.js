@@ -0,0 +1,82 @@
+import { ApiError } from "../utils/apiError.js";
+import { rateLimitStore } from "../utils/rateLimitStore.js";
+
+// seconds until the counter starts over, for the Retry-After header
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// Allows `max` requests per `windowMs` for every key, by default the client IP.
+// Over the limit the request gets a 429 with Retry-After.
+// e.g. router.route("/login").post(rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 10 }), loginUser)
+export const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message = "Too many requests, please try again later" }) =>
+    async (req, res, next) => {
+        try {
+            const { count, resetAt } = await rateLimitStore().increment(`${name}:${key(req)}`, windowMs);
+
+            res.set("RateLimit-Limit", String(max))
+            res.set("RateLimit-Remaining", String(Math.max(0, max - count)))
+            res.set("RateLimit-Reset", String(secondsUntil(resetAt)))
+            if (count > max) {
+                const error = new ApiError(429, message)
+                error.headers = { "Retry-After": String(secondsUntil(resetAt)) }
+                throw error
+            }
+            next()
+        } catch (error) {
+            next(error)
+        }
+    }
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// per-route policies, wrong passwords are additionally counted per account (utils/loginLockout.js)
+export const loginRateLimit = rateLimit({
+    name: "login",
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: "Too many login attempts, please try again later",
+});
+
+export const registerRateLimit = rateLimit({
+    name: "register",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many accounts created from this address, please try again later",
+});
+
+export const refreshRateLimit = rateLimit({
+    name: "refresh",
+    windowMs: 15 * MINUTE,
+    max: 60,
+});
+
+// every accepted request sends an email
+export const forgotPasswordRateLimit = rateLimit({
+    name: "forgot-password",
+    windowMs: HOUR,
+    max: 5,
+    message: "Too many password reset requests, please try again later",
+});
+
+export const resetPasswordRateLimit = rateLimit({
+    name: "reset-password",
+    windowMs: 15 * MINUTE,
+    max: 20,
+});
+
+// one reader sharing the same post over and over should not inflate its count
+export const shareRateLimit = rateLimit({
+    name: "share",
+    windowMs: HOUR,
+    max: 3,
+    key: (req) => `${req.ip}:${req.params.id}`,
+});
+
+// counted per author, so this has to run after verifyJWT
+export const postRateLimit = rateLimit({
+    name: "post",
+    windowMs: HOUR,
+    max: 10,
+    key: (req) => req.user._id.toString(),
+    message: "You are posting too fast, please try again later",
+});
@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import multer from "multer";
+import { ApiError } from "../utils/apiError.js";
+
+export const UPLOAD_ROOT = path.resolve("public", "uploads");
+export const MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // 5 MB
+
+export const IMAGE_EXTENSIONS = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+};
+
+// every user gets their own folder, file names are random so nothing can be overwritten
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = path.join(UPLOAD_ROOT, req.user._id.toString());
+        fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomBytes(16).toString("hex")}${IMAGE_EXTENSIONS[file.mimetype]}`);
+    },
+});
+
+const imageUpload = multer({
+    storage,
+    limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_EXTENSIONS[file.mimetype]) {
+            return cb(new ApiError(400, `Only ${Object.keys(IMAGE_EXTENSIONS).join(", ")} files are allowed`));
+        }
+        cb(null, true);
+    },
+}).single("file");
+
+// multer reports its own errors (too large, wrong field...), turn them into ApiErrors
+export const uploadImage = (req, res, next) => {
+    imageUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `File is too large, the limit is ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`
+                : err.message;
+            return next(new ApiError(400, message));
+        }
+        next(err);
+    });
+};
@@ -1,10 +1,42 @@
 import {mongoose , Schema} from 'mongoose';
+import { REACTION_TYPES } from './reaction.model.js';
+import { htmlToText, escapeRegex } from '../utils/text.js';
+import { slugify } from '../utils/slugify.js';
+
+export const BLOG_STATUSES = ['draft', 'published', 'archived'];
+export const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// "  #Web Dev, web-dev ,JS" -> ['web-dev', 'js']
+// accepts an array or a comma separated string
+export const normalizeTags = (tags) => {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const normalized = list
+        .map((tag) => String(tag)
+            .trim()
+            .toLowerCase()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
 
 const blogSchema = new Schema({
     title: {
         type: String,
         required: true,
     },
+    // permalink part generated from the title, unique per author (/@username/slug)
+    slug: {
+        type: String,
+    },
+    // slugs used before the title changed, they keep redirecting to the post
+    oldSlugs: {
+        type: [String],
+        default: [],
+    },
     description: {
         type: String,
         required: true,
@@ -13,6 +45,11 @@ const blogSchema = new Schema({
         type: String,
         required: true,
     },
+    // content without the HTML tags, kept in sync on save and used by the text index
+    plainContent: {
+        type: String,
+        select: false,
+    },
     author: {
         type: Schema.Types.ObjectId,
         ref: 'User',
@@ -22,11 +59,173 @@ const blogSchema = new Schema({
         type: Number,
         default: 0,
     },
+    // denormalized from the Reaction collection so lists can show them without a lookup
+    reactionCounts: Object.fromEntries(
+        REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+    ),
     theme:{
         type: String,
         enum: ['light', 'dark' , 'vincent'],
         default: 'light',
+    },
+    // optional cover image, copied from the Media document so lists need no lookup
+    cover: {
+        media: {
+            type: Schema.Types.ObjectId,
+            ref: 'Media',
+        },
+        url: String,
+        thumbnailUrl: String,
+        width: Number,
+        height: Number,
+        variants: [{
+            width: Number,
+            url: String,
+            _id: false,
+        }],
+        placeholder: String,
+    },
+    // topics of the post, always stored normalized (see normalizeTags)
+    tags: {
+        type: [String],
+        set: normalizeTags,
+        validate: {
+            validator: (tags) => tags.length <= MAX_TAGS,
+            message: `A blog can have at most ${MAX_TAGS} tags`,
+        },
+        index: true,
+    },
+    // draft -> published -> archived, only published posts are visible to everyone
+    status: {
+        type: String,
+        enum: BLOG_STATUSES,
+        default: 'published',
+        index: true,
+    },
+    publishedAt: {
+        type: Date,
+    },
+    // set when a moderator unpublished the post, the author cannot publish it again
+    takedown: {
+        reason: String,
+        by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        at: Date,
+    },
+    // set once reader reports pass REPORT_HIDE_THRESHOLD,
+    // keeps the post off public pages until a moderator reviews the reports
+    hiddenForReviewAt: {
+        type: Date,
+    },
+    // scheduling, picked up by jobs/blogScheduler.js
+    // a draft with publishAt goes live at that time,
+    // a published post with unpublishAt gets archived at that time
+    publishAt: {
+        type: Date,
+        index: true,
+    },
+    unpublishAt: {
+        type: Date,
+        index: true,
     }
 },{timestamps: true});
 
+// stamp the first time a post goes live, later republishing keeps the original date
+blogSchema.pre('save', function(next) {
+    if ((this.isNew || this.isModified('status')) && this.status === 'published' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+    if (this.isModified('content')) {
+        this.plainContent = htmlToText(this.content);
+    }
+    // a pending publish only makes sense for drafts
+    if (this.status !== 'draft' && this.publishAt) {
+        this.publishAt = undefined;
+    }
+    next();
+})
+
+// (Re)generate the slug when the post is created or its title changes.
+// Collisions with other posts of the same author, including their old slugs, get -2, -3, ...
+blogSchema.pre('save', async function() {
+    if (this.slug && !this.isModified('title')) {
+        return;
+    }
+    const base = slugify(this.title);
+    const ownPattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+    // a title edit that does not change the slug keeps the current one
+    if (this.slug && ownPattern.test(this.slug)) {
+        return;
+    }
+
+    const others = await this.constructor
+        .find({
+            author: this.author,
+            _id: { $ne: this._id },
+            $or: [{ slug: ownPattern }, { oldSlugs: ownPattern }],
+        })
+        .select('slug oldSlugs');
+    const taken = new Set(others.flatMap((blog) => [blog.slug, ...blog.oldSlugs]));
+
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix++) {
+        slug = `${base}-${suffix}`;
+    }
+
+    if (this.slug) {
+        this.oldSlugs.addToSet(this.slug);
+    }
+    this.oldSlugs.pull(slug);
+    this.slug = slug;
+})
+
+blogSchema.index(
+    { author: 1, slug: 1 },
+    { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+);
+blogSchema.index({ author: 1, oldSlugs: 1 });
+// public lists and feeds are ordered by PUBLIC_BLOG_SORT
+blogSchema.index({ publishedAt: -1, createdAt: -1 });
+blogSchema.index({ author: 1, publishedAt: -1, createdAt: -1 });
+
+// full-text search over public posts, a match in the title counts the most
+blogSchema.index(
+    { title: 'text', tags: 'text', description: 'text', plainContent: 'text' },
+    {
+        name: 'blog_text_search',
+        weights: { title: 10, tags: 6, description: 4, plainContent: 1 },
+    }
+);
+
+// Newest first by the day a post went live, so a scheduled post shows up when it is
+// published rather than when it was written. Posts saved before publishedAt existed
+// fall back to createdAt until scripts/backfillPublishedAt.js has filled it in.
+export const PUBLIC_BLOG_SORT = { publishedAt: -1, createdAt: -1 };
+
+// Filter for posts that anyone can read.
+// Posts created before the status field existed have no status and count as published.
+// Posts hidden for review are left out until a moderator has looked at them.
+export const publicBlogFilter = () => ({
+    status: { $nin: ['draft', 'archived'] },
+    hiddenForReviewAt: { $exists: false }
+});
+
+// The query behind the public listing. The RSS/Atom feeds build theirs with it too,
+// so a feed always contains exactly the posts the site shows.
+export const publicBlogQuery = ({ theme, tag, author } = {}) => {
+    const filters = publicBlogFilter();
+    if (theme) {
+        filters.theme = theme;
+    }
+    if (tag) {
+        filters.tags = normalizeTags(tag)[0];
+    }
+    if (author) {
+        filters.author = author;
+    }
+    return filters;
+}
+
 export const Blog = mongoose.model('Blog', blogSchema);
\ No newline at end of file
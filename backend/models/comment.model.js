@@ -0,0 +1,47 @@
+import {mongoose , Schema} from 'mongoose';
+
+const commentSchema = new Schema({
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true,
+        index: true,
+    },
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // the comment this one replies to, null for top level comments
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null,
+    },
+    // the top level comment of the thread, lets us load a whole thread in one query
+    root: {
+        type: Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null,
+        index: true,
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000,
+    },
+    edited: {
+        type: Boolean,
+        default: false,
+    },
+    // comments with replies are only blanked out so the thread stays readable
+    deleted: {
+        type: Boolean,
+        default: false,
+    }
+},{timestamps: true});
+
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+
+export const Comment = mongoose.model('Comment', commentSchema);
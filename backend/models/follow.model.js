@@ -0,0 +1,20 @@
+import mongoose , {Schema} from 'mongoose';
+
+// follower follows following, the counts are kept on the User documents
+const followSchema = new Schema({
+    follower: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    following: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    }
+},{timestamps:true});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+export const Follow = mongoose.model('Follow', followSchema);
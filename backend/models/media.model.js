@@ -0,0 +1,50 @@
+import {mongoose , Schema} from 'mongoose';
+
+// a file uploaded by a user, stored on local disk under public/uploads
+const mediaSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    // public path served by express.static, e.g. /uploads/<userId>/<file>.png
+    url: {
+        type: String,
+        required: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    originalName: {
+        type: String,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number,
+        required: true,
+    },
+    width: {
+        type: Number,
+    },
+    height: {
+        type: Number,
+    },
+    // resized webp copies made on upload, empty for images uploaded before variants existed
+    variants: [{
+        width: Number,
+        filename: String,
+        url: String,
+        _id: false,
+    }],
+    // tiny blurred data URI shown while the real image loads
+    placeholder: {
+        type: String,
+    }
+},{timestamps: true});
+
+export const Media = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,45 @@
+import mongoose , {Schema} from 'mongoose';
+
+export const MAX_REASON_LENGTH = 1000;
+export const MODERATION_ACTIONS = ['suspend', 'unsuspend', 'change_role', 'unpublish_post', 'delete_post', 'dismiss_reports', 'warn_user'];
+
+// Audit log of the admin console: who did what to whom, and why.
+const moderationActionSchema = new Schema({
+    moderator: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    action: {
+        type: String,
+        enum: MODERATION_ACTIONS,
+        required: true,
+    },
+    targetUser: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        index: true,
+    },
+    targetBlog: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+    },
+    // kept as text so the log still reads well after the post is deleted
+    targetTitle: {
+        type: String,
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: MAX_REASON_LENGTH,
+    },
+    // extra facts about the action, e.g. the old and new role
+    details: {
+        type: Schema.Types.Mixed,
+    }
+},{timestamps:true});
+
+moderationActionSchema.index({ createdAt: -1 });
+
+export const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
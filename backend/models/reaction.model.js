@@ -0,0 +1,41 @@
+import {mongoose , Schema} from 'mongoose';
+
+export const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad'];
+
+// one document per (post, user, type), the counts themselves live on the blog
+const reactionSchema = new Schema({
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true,
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: REACTION_TYPES,
+        required: true,
+    }
+},{timestamps: true});
+
+// a user can leave each reaction type at most once per post
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+
+// { blogId: ['like', 'wow'] } for the given user and posts
+reactionSchema.statics.typesByPost = async function(userId, postIds){
+    const byPost = {};
+    if (!userId || postIds.length === 0) {
+        return byPost;
+    }
+    const reactions = await this.find({ user: userId, post: { $in: postIds } }).select('post type');
+    for (const reaction of reactions) {
+        const key = reaction.post.toString();
+        (byPost[key] ||= []).push(reaction.type);
+    }
+    return byPost;
+}
+
+export const Reaction = mongoose.model('Reaction', reactionSchema);
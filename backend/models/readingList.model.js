@@ -0,0 +1,40 @@
+import {mongoose , Schema} from 'mongoose';
+
+// a named collection of bookmarked posts
+const readingListSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    // private lists are only visible to their owner
+    visibility: {
+        type: String,
+        enum: ['private', 'public'],
+        default: 'private',
+    },
+    posts: [{
+        blog: {
+            type: Schema.Types.ObjectId,
+            ref: 'Blog',
+            required: true,
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        _id: false,
+    }]
+},{timestamps: true});
+
+// list names are unique per user
+readingListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+export const ReadingList = mongoose.model('ReadingList', readingListSchema);
@@ -0,0 +1,46 @@
+import mongoose , {Schema} from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'violence', 'misinformation', 'other'];
+export const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+// A reader flagging a post. One per reader and post, reporting again updates it.
+const reportSchema = new Schema({
+    blog: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true,
+    },
+    reporter: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+    },
+    status: {
+        type: String,
+        enum: REPORT_STATUSES,
+        default: 'open',
+    },
+    resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    resolvedAt: {
+        type: Date,
+    }
+},{timestamps:true});
+
+reportSchema.index({ blog: 1, reporter: 1 }, { unique: true });
+// the moderation queue groups the open reports by post
+reportSchema.index({ status: 1, blog: 1 });
+
+export const Report = mongoose.model('Report', reportSchema);
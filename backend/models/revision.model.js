@@ -0,0 +1,49 @@
+import {mongoose , Schema} from 'mongoose';
+
+// Every time a blog is saved we keep a full copy of the editable fields here,
+// so older versions can be compared or brought back later.
+const revisionSchema = new Schema({
+    blog: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true,
+        index: true,
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    description: {
+        type: String,
+        required: true,
+    },
+    content: {
+        type: String,
+        required: true,
+    },
+    theme: {
+        type: String,
+        enum: ['light', 'dark' , 'vincent'],
+        default: 'light',
+    },
+    // the user who made this save
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    }
+},{timestamps: true});
+
+// Store a snapshot of the given blog document
+revisionSchema.statics.record = function(blog, authorId){
+    return this.create({
+        blog: blog._id,
+        title: blog.title,
+        description: blog.description,
+        content: blog.content,
+        theme: blog.theme,
+        author: authorId,
+    });
+}
+
+export const Revision = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,127 @@
+import mongoose , {Schema} from 'mongoose';
+import { createToken, hashToken } from '../utils/tokens.js';
+import { describeDevice } from '../utils/userAgent.js';
+
+export const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days, renewed on every refresh
+// a refresh token that was rotated out this recently is another tab racing us, not a replay
+export const REUSE_GRACE = 10 * 1000;
+// how many rotated-out tokens we remember per session for reuse detection
+const MAX_USED_TOKENS = 20;
+
+// One signed-in device. Every refresh swaps the refresh token for a new one (rotation);
+// the old ones are remembered, and if one of them comes back the session is revoked,
+// since a replayed token means it was stolen. Only sha256 hashes of tokens are stored.
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    usedTokenHashes: {
+        type: [String],
+        index: true,
+        select: false,
+    },
+    rotatedAt: {
+        type: Date,
+    },
+    userAgent: {
+        type: String,
+    },
+    // readable summary of the user agent, e.g. "Firefox on Linux"
+    device: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+    },
+    // logout, user, password_change, password_reset, suspended or reuse
+    revokedReason: {
+        type: String,
+    }
+},{timestamps:true});
+
+// MongoDB removes sessions a while after they expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function(){
+    return !this.revokedAt && this.expiresAt > new Date();
+}
+
+// swaps the refresh token for a new one, returns the new token,
+// or null when a concurrent refresh of the same token got there first
+sessionSchema.methods.rotate = async function(req){
+    const { token, hash } = createToken();
+    const now = new Date();
+    const { modifiedCount } = await this.constructor.updateOne(
+        { _id: this._id, tokenHash: this.tokenHash },
+        {
+            $set: {
+                tokenHash: hash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + SESSION_TTL),
+                ip: req.ip,
+            },
+            $push: { usedTokenHashes: { $each: [this.tokenHash], $slice: -MAX_USED_TOKENS } },
+        }
+    );
+    if (!modifiedCount) {
+        return null;
+    }
+    this.tokenHash = hash;
+    return token;
+}
+
+sessionSchema.methods.revoke = async function(reason){
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+}
+
+// signs a device in, returns the session and its first refresh token
+sessionSchema.statics.start = async function(userId, req){
+    const { token, hash } = createToken();
+    const userAgent = req.get('user-agent')?.slice(0, 500);
+    const session = await this.create({
+        user: userId,
+        tokenHash: hash,
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + SESSION_TTL),
+    });
+    return { session, refreshToken: token };
+}
+
+sessionSchema.statics.findByToken = function(token){
+    return this.findOne({ tokenHash: hashToken(token) });
+}
+
+// signs out every device of a user, except the one with exceptId if given
+sessionSchema.statics.revokeAll = function(userId, reason, exceptId){
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (exceptId) {
+        filter._id = { $ne: exceptId };
+    }
+    return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+export const Session = mongoose.model('Session', sessionSchema);
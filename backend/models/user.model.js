@@ -1,7 +1,45 @@
 import mongoose , {Schema} from 'mongoose';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
+export const MAX_PROFILE_LINKS = 5;
+// moderators can suspend users and take posts down, admins can also change roles
+export const ROLES = ['user', 'moderator', 'admin'];
+
+// what anyone may see about a user, never add email or tokens here
+export const PUBLIC_PROFILE_FIELDS = 'username displayName bio avatar links followersCount followingCount createdAt';
+// enough to render a byline next to a post
+export const AUTHOR_FIELDS = 'username displayName avatar';
+// usernames are part of permalinks (/@username/slug), keep them url friendly
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+// /users/:username sits next to these fixed paths, a user with one of these names
+// would never reach their profile; deleted-user-* belongs to the ghost account
+export const RESERVED_USERNAMES = [
+    'register', 'login', 'logout', 'forgot-password', 'reset-password', 'verify-email',
+    'refresh-token', 'me', 'account', 'sessions', 'admin', 'moderator', 'settings',
+];
+export const isAllowedUsername = (username) =>
+    typeof username === 'string'
+    && USERNAME_PATTERN.test(username)
+    && !RESERVED_USERNAMES.includes(username.toLowerCase())
+    && !username.toLowerCase().startsWith('deleted-user-');
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const linkSchema = new Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 40,
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^https?:\/\/\S+$/i, "Links must start with http:// or https://"]
+    }
+},{_id: false});
+
 const userSchema = new Schema({
     username : {
         type: String,
@@ -13,20 +51,99 @@ const userSchema = new Schema({
         type: String,
         required: true,
         unique: true,
-        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please enter a valid email address"]
+        match: [EMAIL_PATTERN, "Please enter a valid email address"]
+    },
+    // set to false on signup until the link from the welcome email is opened.
+    // Accounts created before verification existed have no value and count as verified.
+    emailVerified: {
+        type: Boolean,
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+    },
+    // new address waiting for the confirmation link to be clicked
+    pendingEmail: {
+        type: String,
+    },
+    emailChangeToken: {
+        type: String,
+        select: false,
+    },
+    emailChangeExpires: {
+        type: Date,
+    },
+    // public profile, everything below is optional
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+    },
+    bio: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+    // url of an uploaded image (/uploads/...) or an external one
+    avatar: {
+        type: String,
+        trim: true,
+    },
+    links: {
+        type: [linkSchema],
+        default: [],
+        validate: {
+            validator: (links) => links.length <= MAX_PROFILE_LINKS,
+            message: `A profile can have at most ${MAX_PROFILE_LINKS} links`,
+        },
     },
     password : {
         type: String,
         required: [true, 'Password is required'],
         minlength: 8
     },
-    // role : {
-    //     type: String,
-    //     enum: ['user', 'admin'],
-    //     default: 'user'
-    // },
-    refreshToken: {
+    role : {
         type: String,
+        enum: ROLES,
+        default: 'user'
+    },
+    // suspended accounts cannot sign in and their tokens are rejected
+    suspendedAt: {
+        type: Date,
+    },
+    suspensionReason: {
+        type: String,
+    },
+    // refresh tokens live in the Session collection, older documents may still
+    // carry a refreshToken field, so queries keep leaving it out
+
+    // access tokens issued before this are rejected
+    passwordChangedAt: {
+        type: Date,
+    },
+    // forgot-password link, single use (cleared once the password is reset)
+    passwordResetToken: {
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+    },
+    // the placeholder account that keeps the posts of deleted accounts (see User.ghost)
+    isGhost: {
+        type: Boolean,
+    },
+    // denormalized from the Follow collection
+    followersCount: {
+        type: Number,
+        default: 0,
+    },
+    followingCount: {
+        type: Number,
+        default: 0,
     }
 },{timestamps:true});
 
@@ -49,14 +166,44 @@ userSchema.methods.isPasswordCorrect = async function(password){
     return await bcrypt.compare(password , this.password);
 }
 
-// generateAccessToken and Referesh Token 
-userSchema.methods.generateAccessToken = async function(){
+// true for tokens created before the last password change
+userSchema.methods.isTokenStale = function(issuedAt){
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+}
+
+// unverified users can write drafts but not publish
+userSchema.methods.canPublish = function(){
+    return this.emailVerified !== false;
+}
+
+// Posts of deleted accounts that chose to keep them are moved to this account.
+// It is created on first use and nobody can log into it.
+userSchema.statics.ghost = async function(){
+    const suffix = crypto.randomBytes(4).toString('hex');
+    return this.findOneAndUpdate(
+        { isGhost: true },
+        {
+            $setOnInsert: {
+                username: `deleted-user-${suffix}`,
+                displayName: 'Deleted user',
+                email: `deleted-user-${suffix}@blogbook.invalid`,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+            }
+        },
+        { upsert: true, new: true }
+    );
+}
+
+// generateAccessToken, sid ties the token to the session (device) it was issued for
+userSchema.methods.generateAccessToken = async function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
             email : this.email,
             username : this.username,
-            role : this.role
+            role : this.role,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -64,16 +211,5 @@ userSchema.methods.generateAccessToken = async function(){
         }
     )
 }
-userSchema.methods.generateRefreshToken = async function(){
-    return jwt.sign(
-        {
-            _id: this._id
-        },
-        process.env.REFRESH_TOKEN_SECRET,
-        {
-            expiresIn: `${7 * 24 * 60 * 60}s` // 7 days
-        }
-    )
-}
 
 export const User = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+import {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    changeUserRole,
+    listBlogs,
+    unpublishBlog,
+    deleteBlog,
+    getReportQueue,
+    getBlogReports,
+    dismissReports,
+    hideReportedBlog,
+    warnAuthor,
+    getModerationLog
+} from "../controllers/admin.controller.js";
+import { Router } from "express";
+import { verifyJWT, requireRole } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// the whole console is for staff only
+router.use(verifyJWT, requireRole("moderator", "admin"));
+
+router.route("/users").get(listUsers);
+router.route("/users/:id/suspend").post(suspendUser);
+router.route("/users/:id/unsuspend").post(unsuspendUser);
+router.route("/users/:id/role").patch(requireRole("admin"), changeUserRole);
+
+router.route("/blogs").get(listBlogs);
+router.route("/blogs/:id/unpublish").post(unpublishBlog);
+router.route("/blogs/:id").delete(deleteBlog);
+
+// reader reports grouped by post
+router.route("/reports").get(getReportQueue);
+router.route("/reports/:id").get(getBlogReports);
+router.route("/reports/:id/dismiss").post(dismissReports);
+router.route("/reports/:id/hide").post(hideReportedBlog);
+router.route("/reports/:id/warn").post(warnAuthor);
+
+router.route("/actions").get(getModerationLog);
+
+export default router;
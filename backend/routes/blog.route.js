@@ -1,11 +1,22 @@
-import { deleteBlog, getAllBlogs, getBlogById, postBlog, searchBlogs, shareBlog ,getAllPublicBlogs} from "../controllers/blog.controller.js";
+import { deleteBlog, getAllBlogs, getBlogById, postBlog, searchBlogs, shareBlog ,getAllPublicBlogs, updateBlog, updateBlogStatus, getTags, getFeed, searchPublicBlogs, getBlogBySlug} from "../controllers/blog.controller.js";
 import { Router } from "express";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { getRevisions, diffRevisions, restoreRevision } from "../controllers/revision.controller.js";
+import { createComment, getComments, updateComment, deleteComment } from "../controllers/comment.controller.js";
+import { toggleReaction } from "../controllers/reaction.controller.js";
+import { reportBlog } from "../controllers/report.controller.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+import { shareRateLimit, postRateLimit } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
-router.route("/public").get(getAllPublicBlogs);
+router.route("/public").get(optionalJWT,getAllPublicBlogs);
+// full-text search over all public blogs
+router.route("/public/search").get(optionalJWT,searchPublicBlogs);
+// posts from followed authors
+router.route("/feed").get(verifyJWT,getFeed);
+// tags used by public blogs with their post counts
+router.route("/tags").get(getTags);
 // Route to post a new blog
-router.route("/post").post(verifyJWT,postBlog);
+router.route("/post").post(verifyJWT,postRateLimit,postBlog);
 
 // Route to get all blogs
 router.route("/all").get(verifyJWT,getAllBlogs);
@@ -13,14 +24,40 @@ router.route("/all").get(verifyJWT,getAllBlogs);
 // search blogs by title or description
 router.route("/search").get(verifyJWT,searchBlogs);
 
+// Route to get a single blog by its permalink
+router.route("/by-slug/:authorUsername/:slug").get(optionalJWT,getBlogBySlug);
+
 // Route to get a single blog by ID
-router.route("/:id").get(getBlogById);
+router.route("/:id").get(optionalJWT,getBlogById);
 
 // Route to share a blog (increment share count)
-router.route("/:id/share").put(shareBlog);
+router.route("/:id/share").put(shareRateLimit,shareBlog);
+
+// toggle a reaction (like, love, ...) of the logged-in user
+router.route("/:id/reactions/:type").post(verifyJWT,toggleReaction);
+
+// report a post to the moderators
+router.route("/:id/report").post(verifyJWT,reportBlog);
+
+// update a blog post by id
+router.route("/:id").patch(verifyJWT,updateBlog);
+
+// change the status of a blog post (draft, published, archived)
+router.route("/:id/status").patch(verifyJWT,updateBlogStatus);
 
 // delete a blog post by id
 router.route("/:id").delete(verifyJWT,deleteBlog);
+
+// revision history of a blog post (owner only)
+router.route("/:id/revisions").get(verifyJWT,getRevisions);
+router.route("/:id/revisions/diff").get(verifyJWT,diffRevisions);
+router.route("/:id/revisions/:revisionId/restore").post(verifyJWT,restoreRevision);
+
+// threaded comments on a blog post
+router.route("/:id/comments").get(optionalJWT,getComments);
+router.route("/:id/comments").post(verifyJWT,createComment);
+router.route("/:id/comments/:commentId").patch(verifyJWT,updateComment);
+router.route("/:id/comments/:commentId").delete(verifyJWT,deleteComment);
 // Route to get all public blogs
 
 
@@ -0,0 +1,17 @@
+import {
+    getPostsRss,
+    getPostsAtom,
+    getAuthorRss,
+    getAuthorAtom
+} from "../controllers/feed.controller.js";
+import { Router } from "express";
+
+const router = Router();
+
+// public RSS / Atom feeds for feed readers, no auth
+router.route("/posts.rss").get(getPostsRss);
+router.route("/posts.atom").get(getPostsAtom);
+router.route("/authors/:username/posts.rss").get(getAuthorRss);
+router.route("/authors/:username/posts.atom").get(getAuthorAtom);
+
+export default router;
@@ -0,0 +1,17 @@
+import { uploadMedia, getMyMedia, deleteMedia } from "../controllers/media.controller.js";
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { uploadImage } from "../middlewares/upload.middleware.js";
+
+const router = Router();
+
+// upload an image (multipart/form-data, field "file")
+router.route("/").post(verifyJWT,uploadImage,uploadMedia);
+
+// media library of the logged-in user
+router.route("/").get(verifyJWT,getMyMedia);
+
+// delete an uploaded file
+router.route("/:id").delete(verifyJWT,deleteMedia);
+
+export default router;
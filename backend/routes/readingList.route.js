@@ -0,0 +1,28 @@
+import {
+    getMyReadingLists,
+    getReadingList,
+    createReadingList,
+    updateReadingList,
+    deleteReadingList,
+    addPostToReadingList,
+    removePostFromReadingList
+} from "../controllers/readingList.controller.js";
+import { Router } from "express";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// reading lists of the logged-in user
+router.route("/").get(verifyJWT,getMyReadingLists);
+router.route("/").post(verifyJWT,createReadingList);
+
+// a single list, public lists are readable by anyone
+router.route("/:id").get(optionalJWT,getReadingList);
+router.route("/:id").patch(verifyJWT,updateReadingList);
+router.route("/:id").delete(verifyJWT,deleteReadingList);
+
+// bookmark / unbookmark a post
+router.route("/:id/posts/:blogId").put(verifyJWT,addPostToReadingList);
+router.route("/:id/posts/:blogId").delete(verifyJWT,removePostFromReadingList);
+
+export default router;
@@ -0,0 +1,24 @@
+import {
+    getBlogPage,
+    getBlogPageBySlug,
+    getAuthorPage,
+    getAppPage,
+    getSitemap,
+    getRobots
+} from "../controllers/seo.controller.js";
+import { Router } from "express";
+
+const router = Router();
+
+router.route("/sitemap.xml").get(getSitemap);
+router.route("/robots.txt").get(getRobots);
+
+// post and author pages get their meta tags filled in on the server
+router.route("/blog/:id").get(getBlogPage);
+router.route("/u/:username").get(getAuthorPage);
+router.route("/:handle/:slug").get(getBlogPageBySlug);
+
+// the rest of the frontend routes just get the app
+router.route("/{*page}").get(getAppPage);
+
+export default router;
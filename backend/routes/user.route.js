@@ -1,16 +1,67 @@
 import {Router} from 'express';
-import { registerUser ,loginUser,logoutUser, refreshAccessToken } from '../controllers/user.controller.js';
-import { verifyJWT } from '../middlewares/auth.middleware.js';
+import {
+    registerUser,
+    loginUser,
+    logoutUser,
+    refreshAccessToken,
+    getCurrentUser,
+    updateProfile,
+    changePassword,
+    requestEmailChange,
+    confirmEmailChange,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    deleteAccount,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
+} from '../controllers/user.controller.js';
+import { followUser, unfollowUser, getFollowStatus } from '../controllers/follow.controller.js';
+import { getUserProfile, getUserPosts } from '../controllers/profile.controller.js';
+import { verifyJWT, optionalJWT } from '../middlewares/auth.middleware.js';
+import { loginRateLimit, registerRateLimit, refreshRateLimit, forgotPasswordRateLimit, resetPasswordRateLimit } from '../middlewares/rateLimit.middleware.js';
 
 const router = Router();
 
 // Register a new user
-router.route('/register').post(registerUser);
+router.route('/register').post(registerRateLimit,registerUser);
 // Login a user
-router.route('/login').post(loginUser);
+router.route('/login').post(loginRateLimit,loginUser);
+// forgot-password flow, the emailed token identifies the user
+router.route('/forgot-password').post(forgotPasswordRateLimit,forgotPassword);
+router.route('/reset-password').post(resetPasswordRateLimit,resetPassword);
+// email verification after signup
+router.route('/verify-email').get(verifyEmail);
+router.route('/verify-email/resend').post(verifyJWT,resendVerificationEmail);
 
 // protected routes
 router.route('/logout').post(verifyJWT,logoutUser);
-router.route('/refresh-token').post(refreshAccessToken);
+router.route('/refresh-token').post(refreshRateLimit,refreshAccessToken);
+
+// the logged-in user, the frontend checks its stored login with it
+router.route('/me').get(verifyJWT,getCurrentUser);
+
+// account settings of the logged-in user
+router.route('/account').patch(verifyJWT,updateProfile);
+router.route('/account').delete(verifyJWT,deleteAccount);
+router.route('/account/password').post(verifyJWT,changePassword);
+router.route('/account/email').post(verifyJWT,requestEmailChange);
+// opened from the confirmation email, the token identifies the user
+router.route('/account/email/confirm').post(confirmEmailChange);
+// signed-in devices of the logged-in user
+router.route('/sessions').get(verifyJWT,getSessions);
+router.route('/sessions').delete(verifyJWT,revokeOtherSessions);
+router.route('/sessions/:id').delete(verifyJWT,revokeSession);
+
+// follow / unfollow other users
+router.route('/:id/follow').get(optionalJWT,getFollowStatus);
+router.route('/:id/follow').post(verifyJWT,followUser);
+router.route('/:id/follow').delete(verifyJWT,unfollowUser);
+
+// public author profiles, keep these after every fixed path
+router.route('/:username').get(getUserProfile);
+router.route('/:username/posts').get(optionalJWT,getUserPosts);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+// One-off: gives every post published before publishedAt existed its creation date
+// as publish date, so public lists and feeds can be ordered by it.
+// Usage: npm run published:backfill
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import connectDB from "../config/index.js"
+import { Blog } from "../models/blog.model.js"
+dotenv.config({
+    path: './.env'
+})
+
+const run = async () => {
+    await connectDB()
+    await Blog.syncIndexes();
+
+    // drafts get their date when they go live, the edit timestamps stay as they were
+    const { modifiedCount } = await Blog.updateMany(
+        { publishedAt: { $exists: false }, status: { $ne: 'draft' } },
+        [{ $set: { publishedAt: '$createdAt' } }],
+        { timestamps: false }
+    );
+
+    console.log(`Publish dates set for ${modifiedCount} blog(s)`);
+}
+
+run()
+.catch((err) => {
+    console.error("Publish date backfill failed:", err);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect())
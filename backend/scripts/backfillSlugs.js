@@ -0,0 +1,32 @@
+// One-off: gives every post created before permalinks existed a slug.
+// Usage: npm run slugs:backfill
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import connectDB from "../config/index.js"
+import { Blog } from "../models/blog.model.js"
+dotenv.config({
+    path: './.env'
+})
+
+const run = async () => {
+    await connectDB()
+    await Blog.syncIndexes();
+
+    let updated = 0;
+    // oldest first, so the first post with a title keeps the plain slug
+    const cursor = Blog.find({ slug: { $exists: false } }).sort({ createdAt: 1 }).cursor();
+    for await (const blog of cursor) {
+        // the pre save hook generates the slug, timestamps stay as they were
+        await blog.save({ timestamps: false });
+        updated++;
+    }
+
+    console.log(`Slugs generated for ${updated} blog(s)`);
+}
+
+run()
+.catch((err) => {
+    console.error("Slug backfill failed:", err);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect())
@@ -0,0 +1,32 @@
+// One-off: fills plainContent for posts saved before full-text search existed
+// and makes sure the text index is built.
+// Usage: npm run search:reindex
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import connectDB from "../config/index.js"
+import { Blog } from "../models/blog.model.js"
+import { htmlToText } from "../utils/text.js"
+dotenv.config({
+    path: './.env'
+})
+
+const run = async () => {
+    await connectDB()
+
+    let updated = 0;
+    const cursor = Blog.find({ plainContent: { $exists: false } }).select('content').cursor();
+    for await (const blog of cursor) {
+        await Blog.updateOne({ _id: blog._id }, { $set: { plainContent: htmlToText(blog.content) } });
+        updated++;
+    }
+    await Blog.syncIndexes();
+
+    console.log(`Search index updated, ${updated} blog(s) backfilled`);
+}
+
+run()
+.catch((err) => {
+    console.error("Reindex failed:", err);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect())
@@ -0,0 +1,47 @@
+// One-off: runs the content sanitizer over every stored post and revision,
+// for content saved before sanitization existed.
+// Usage: npm run content:sanitize
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import connectDB from "../config/index.js"
+import { Blog } from "../models/blog.model.js"
+import { Revision } from "../models/revision.model.js"
+import { htmlToText } from "../utils/text.js"
+import { sanitizeContent } from "../utils/sanitize.js"
+dotenv.config({
+    path: './.env'
+})
+
+// only documents whose content actually changes are written back
+const sanitizeCollection = async (Model, extraFields = () => ({})) => {
+    let changed = 0;
+    const cursor = Model.find().select('content').cursor();
+    for await (const doc of cursor) {
+        const content = sanitizeContent(doc.content);
+        if (content !== doc.content) {
+            await Model.updateOne(
+                { _id: doc._id },
+                { $set: { content, ...extraFields(content) } },
+                { timestamps: false }
+            );
+            changed++;
+        }
+    }
+    return changed;
+}
+
+const run = async () => {
+    await connectDB()
+
+    const blogs = await sanitizeCollection(Blog, (content) => ({ plainContent: htmlToText(content) }));
+    const revisions = await sanitizeCollection(Revision);
+
+    console.log(`Sanitized ${blogs} blog(s) and ${revisions} revision(s)`);
+}
+
+run()
+.catch((err) => {
+    console.error("Sanitizing failed:", err);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect())
@@ -0,0 +1,31 @@
+// Gives a user a role from the command line, e.g. to create the first admin.
+// Usage: npm run users:set-role -- <username> <user|moderator|admin>
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import connectDB from "../config/index.js"
+import { User, ROLES } from "../models/user.model.js"
+dotenv.config({
+    path: './.env'
+})
+
+const run = async () => {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES.includes(role)) {
+        throw new Error(`Usage: npm run users:set-role -- <username> <${ROLES.join('|')}>`);
+    }
+
+    await connectDB()
+    const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { new: true });
+    if (!user) {
+        throw new Error(`No user named ${username}`);
+    }
+
+    console.log(`${user.username} is now ${user.role}`);
+}
+
+run()
+.catch((err) => {
+    console.error("Setting the role failed:", err.message);
+    process.exitCode = 1;
+})
+.finally(() => mongoose.disconnect())
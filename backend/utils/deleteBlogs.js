@@ -0,0 +1,23 @@
+import {Blog} from '../models/blog.model.js';
+import {Revision} from '../models/revision.model.js';
+import {Comment} from '../models/comment.model.js';
+import {Reaction} from '../models/reaction.model.js';
+import {ReadingList} from '../models/readingList.model.js';
+import {Report} from '../models/report.model.js';
+
+// Deletes posts together with everything attached to them:
+// revisions, comments, reactions, reader reports and their entries in reading lists.
+const deleteBlogs = async (blogIds) => {
+    if (!blogIds.length) return;
+    await Blog.deleteMany({ _id: { $in: blogIds } });
+    await Revision.deleteMany({ blog: { $in: blogIds } });
+    await Comment.deleteMany({ post: { $in: blogIds } });
+    await Reaction.deleteMany({ post: { $in: blogIds } });
+    await Report.deleteMany({ blog: { $in: blogIds } });
+    await ReadingList.updateMany(
+        { 'posts.blog': { $in: blogIds } },
+        { $pull: { posts: { blog: { $in: blogIds } } } }
+    );
+}
+
+export { deleteBlogs }
@@ -0,0 +1,55 @@
+// Builds RSS 2.0 and Atom 1.0 documents. Every value is escaped here,
+// item content is the post HTML and ends up entity-encoded as the specs expect.
+
+const escapeXml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// feed: { title, description, link, selfUrl, updated }
+// items: [{ id, title, link, summary, content, author, categories, published, updated, image }]
+const buildRss = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${escapeXml(feed.title)}</title>
+<link>${escapeXml(feed.link)}</link>
+<description>${escapeXml(feed.description)}</description>
+<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.map((item) => `<item>
+<title>${escapeXml(item.title)}</title>
+<link>${escapeXml(item.link)}</link>
+<guid isPermaLink="true">${escapeXml(item.id)}</guid>
+<dc:creator>${escapeXml(item.author)}</dc:creator>
+<pubDate>${item.published.toUTCString()}</pubDate>
+${item.categories.map((category) => `<category>${escapeXml(category)}</category>\n`).join('')}${item.image ? `<enclosure url="${escapeXml(item.image.url)}" length="0" type="${escapeXml(item.image.type)}"/>\n` : ''}<description>${escapeXml(item.summary)}</description>
+<content:encoded>${escapeXml(item.content)}</content:encoded>
+</item>`).join('\n')}
+</channel>
+</rss>
+`;
+
+const buildAtom = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>${escapeXml(feed.title)}</title>
+<subtitle>${escapeXml(feed.description)}</subtitle>
+<link href="${escapeXml(feed.link)}"/>
+<link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>
+<id>${escapeXml(feed.selfUrl)}</id>
+<updated>${feed.updated.toISOString()}</updated>
+${items.map((item) => `<entry>
+<title>${escapeXml(item.title)}</title>
+<link href="${escapeXml(item.link)}"/>
+<id>${escapeXml(item.id)}</id>
+<author><name>${escapeXml(item.author)}</name></author>
+<published>${item.published.toISOString()}</published>
+<updated>${item.updated.toISOString()}</updated>
+${item.categories.map((category) => `<category term="${escapeXml(category)}"/>\n`).join('')}<summary>${escapeXml(item.summary)}</summary>
+<content type="html">${escapeXml(item.content)}</content>
+</entry>`).join('\n')}
+</feed>
+`;
+
+export { escapeXml, buildRss, buildAtom }
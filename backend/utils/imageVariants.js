@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { UPLOAD_ROOT } from '../middlewares/upload.middleware.js';
+
+// widths of the resized copies used in srcset, the smallest one is the list thumbnail
+export const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+const PLACEHOLDER_WIDTH = 24;
+
+// Generates webp copies of an uploaded image next to the original
+// (<name>-320.webp, <name>-640.webp, ...) plus a tiny blurred placeholder
+// that is inlined as a data URI so the page can show it before the real image loads.
+// Runs on upload; when the image cannot be processed the copies written so far are removed.
+const generateImageVariants = async (media) => {
+    const dir = path.join(UPLOAD_ROOT, media.owner.toString());
+    const source = path.join(dir, media.filename);
+    const baseName = path.parse(media.filename).name;
+
+    const variants = [];
+    try {
+        return await writeVariants(source, dir, baseName, media.owner, variants);
+    } catch (error) {
+        await Promise.all(variants.map((variant) => fs.rm(path.join(dir, variant.filename), { force: true })));
+        throw error;
+    }
+}
+
+// fills `variants` as files are written, so the caller knows what to clean up
+const writeVariants = async (source, dir, baseName, owner, variants) => {
+    const { width, height } = await sharp(source).metadata();
+
+    // never upscale: widths larger than the original are skipped, except the smallest
+    // one so that even a tiny image still gets a thumbnail
+    const widths = VARIANT_WIDTHS.filter((w, index) => index === 0 || w <= width);
+
+    for (const targetWidth of widths) {
+        const filename = `${baseName}-${targetWidth}.webp`;
+        const info = await sharp(source)
+            .rotate() // respect EXIF orientation
+            .resize({ width: targetWidth, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toFile(path.join(dir, filename));
+        variants.push({
+            width: info.width,
+            filename,
+            url: `/uploads/${owner}/${filename}`,
+        });
+    }
+
+    const placeholder = await sharp(source)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(2)
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        variants,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    };
+}
+
+export { generateImageVariants }
@@ -0,0 +1,45 @@
+import { ApiError } from './apiError.js';
+import { rateLimitStore } from './rateLimitStore.js';
+
+// After LOCKOUT_THRESHOLD wrong passwords in a row an account is locked for a minute,
+// every further failure doubles that, up to a day. Unknown accounts are counted the
+// same way, so the answers never tell whether an account exists.
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCK = 60 * 1000;
+const MAX_LOCK = 24 * 60 * 60 * 1000;
+// failures are forgotten a day after the first one
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000;
+
+const failuresKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+const lockDuration = (failures) =>
+    Math.min(BASE_LOCK * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK);
+
+const assertNotLocked = async (account) => {
+    const lock = await rateLimitStore().get(lockKey(account));
+    if (lock) {
+        const retryAfter = Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000));
+        const error = new ApiError(429, 'Too many failed login attempts, please try again later');
+        // sent along by middlewares/error.middleware.js
+        error.headers = { 'Retry-After': String(retryAfter) };
+        throw error;
+    }
+}
+
+const recordFailedLogin = async (account) => {
+    const store = rateLimitStore();
+    const { count } = await store.increment(failuresKey(account), FAILURE_WINDOW);
+    if (count >= LOCKOUT_THRESHOLD) {
+        await store.reset(lockKey(account));
+        await store.increment(lockKey(account), lockDuration(count));
+    }
+}
+
+const clearFailedLogins = async (account) => {
+    const store = rateLimitStore();
+    await store.reset(failuresKey(account));
+    await store.reset(lockKey(account));
+}
+
+export { assertNotLocked, recordFailedLogin, clearFailedLogins }
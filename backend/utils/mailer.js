@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+// Outgoing mail goes through a transport picked with MAIL_TRANSPORT:
+//   smtp    - real delivery, configured with SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - every message is written to MAIL_DIR as an .eml file (tests, offline dev)
+//   console - messages are printed to the server log (default)
+// Other transports can be added with registerMailTransport.
+
+const mailFrom = () => process.env.MAIL_FROM || 'Blogbook <no-reply@blogbook.local>';
+
+let smtpTransport;
+const getSmtpTransport = () => {
+    if (!smtpTransport) {
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+    return smtpTransport;
+}
+
+// a plain RFC 822 message, enough for any mail client to open it
+const toEml = ({ from, to, subject, text }) => [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    '',
+].join('\r\n');
+
+const transports = {
+    smtp: (message) => getSmtpTransport().sendMail(message),
+    file: async (message) => {
+        const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+        await fs.mkdir(dir, { recursive: true });
+        const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.writeFile(path.join(dir, filename), toEml(message));
+    },
+    console: async ({ to, subject, text }) => {
+        console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+    },
+};
+
+// send(message) receives { from, to, subject, text, html } and returns a promise
+const registerMailTransport = (name, send) => {
+    transports[name] = send;
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const send = transports[name];
+    if (!send) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+    return send({ from: mailFrom(), to, subject, text, html });
+}
+
+export { sendMail, registerMailTransport }
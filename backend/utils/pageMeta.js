@@ -0,0 +1,52 @@
+import { escapeHtml } from './text.js';
+
+// Fills the <head> of the SPA's index.html with the meta tags of a page,
+// so link previews and crawlers see them without running any JavaScript.
+
+const SITE_NAME = 'Blogbook';
+const DESCRIPTION_LENGTH = 200;
+
+const truncate = (text = '', length = DESCRIPTION_LENGTH) => {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length - 1).trimEnd()}…` : flat;
+}
+
+const metaTag = (attribute, key, value) =>
+    value ? `<meta ${attribute}="${key}" content="${escapeHtml(String(value))}" />` : '';
+
+// JSON inside a <script> must not be able to close the tag
+const jsonLd = (data) =>
+    `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+
+// meta: { title, description, url, image, type, publishedTime, modifiedTime, author, tags, structuredData }
+const renderPage = (template, meta) => {
+    const description = truncate(meta.description);
+    const tags = [
+        `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+        metaTag('name', 'description', description),
+        metaTag('property', 'og:site_name', SITE_NAME),
+        metaTag('property', 'og:type', meta.type || 'website'),
+        metaTag('property', 'og:title', meta.title),
+        metaTag('property', 'og:description', description),
+        metaTag('property', 'og:url', meta.url),
+        metaTag('property', 'og:image', meta.image),
+        metaTag('property', 'article:published_time', meta.publishedTime?.toISOString()),
+        metaTag('property', 'article:modified_time', meta.modifiedTime?.toISOString()),
+        metaTag('property', 'article:author', meta.author),
+        ...(meta.tags || []).map((tag) => metaTag('property', 'article:tag', tag)),
+        metaTag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+        metaTag('name', 'twitter:title', meta.title),
+        metaTag('name', 'twitter:description', description),
+        metaTag('name', 'twitter:image', meta.image),
+        meta.structuredData ? jsonLd(meta.structuredData) : '',
+    ].filter(Boolean).join('\n    ');
+
+    const title = `<title>${escapeHtml(`${meta.title} | ${SITE_NAME}`)}</title>`;
+    const withTitle = /<title>[\s\S]*?<\/title>/i.test(template)
+        ? template.replace(/<title>[\s\S]*?<\/title>/i, () => title)
+        : template.replace('</head>', () => `${title}\n  </head>`);
+    // replace callbacks so "$&" and friends in user content are not interpreted
+    return withTitle.replace(/\s*<\/head>/i, () => `\n    ${tags}\n  </head>`);
+}
+
+export { SITE_NAME, truncate, renderPage }
@@ -0,0 +1,63 @@
+// Counters for rate limiting and login lockout.
+// A store keeps one counter per key, each living for a window of time:
+//   increment(key, windowMs) - adds one and returns { count, resetAt },
+//                              a key whose window has passed starts again at 1
+//   get(key)                 - the current { count, resetAt }, or undefined
+//   reset(key)               - forgets the key
+// Every method may return a promise. The default store lives in memory, which is fine
+// for a single server; several instances should share one, e.g. on Redis, via setRateLimitStore.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    const live = (key, now = Date.now()) => {
+        const entry = counters.get(key);
+        if (entry && entry.resetAt <= now) {
+            counters.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    // drop expired counters now and then so the map does not keep every IP ever seen
+    setInterval(() => {
+        const now = Date.now();
+        for (const key of counters.keys()) {
+            live(key, now);
+        }
+    }, SWEEP_INTERVAL).unref();
+
+    return {
+        increment: (key, windowMs) => {
+            const now = Date.now();
+            const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+            entry.count++;
+            counters.set(key, entry);
+            return { ...entry };
+        },
+        get: (key) => {
+            const entry = live(key);
+            return entry && { ...entry };
+        },
+        reset: (key) => {
+            counters.delete(key);
+        },
+    };
+}
+
+let store;
+
+const rateLimitStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+}
+
+const setRateLimitStore = (newStore) => {
+    store = newStore;
+}
+
+export { rateLimitStore, setRateLimitStore, createMemoryStore }
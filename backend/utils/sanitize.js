@@ -0,0 +1,50 @@
+import sanitizeHtml from 'sanitize-html';
+
+// Only what the Quill editor in Compose.jsx can produce
+// (formats: header, bold, italic, underline, strike, color, background,
+// list, bullet, align, link, image). Everything else is dropped.
+const COLOR = /^(#[0-9a-f]{3,8}|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+
+const sanitizeOptions = {
+    allowedTags: [
+        'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'em', 'u', 's', 'span',
+        'ol', 'ul', 'li',
+        'a', 'img',
+    ],
+    allowedAttributes: {
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt'],
+        '*': ['class', 'style'],
+    },
+    // alignment is stored by Quill as a class
+    allowedClasses: {
+        '*': ['ql-align-center', 'ql-align-right', 'ql-align-justify'],
+    },
+    allowedStyles: {
+        '*': {
+            color: [COLOR],
+            'background-color': [COLOR],
+        },
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    // images pasted into Quill are inlined as data: URIs
+    allowedSchemesByTag: {
+        img: ['http', 'https', 'data'],
+    },
+    allowProtocolRelative: false,
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: {
+                ...attribs,
+                rel: 'noopener noreferrer',
+            },
+        }),
+    },
+};
+
+// Clean post HTML before it is stored. Safe to run more than once on the same content.
+const sanitizeContent = (html = '') => sanitizeHtml(html, sanitizeOptions);
+
+export { sanitizeContent }
@@ -0,0 +1,42 @@
+// Turns a title into a URL friendly slug: "Ça va, Зоя?" -> "ca-va-zoya"
+
+// letters that do not decompose into ASCII with NFKD
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i',
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+    'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g',
+    // Greek
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+    'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+    'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o',
+};
+
+const MAX_SLUG_LENGTH = 80;
+
+const transliterate = (text) => text
+    .split('')
+    .map((char) => TRANSLITERATIONS[char] ?? char)
+    .join('');
+
+const slugify = (text = '') => {
+    // transliterate before and after NFKD: the first pass keeps letters like ё -> yo,
+    // the second one catches accented letters like ά that only match once the accent is gone
+    const slug = transliterate(
+        transliterate(text.toLowerCase())
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+    )
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+
+    // titles in scripts we cannot transliterate (e.g. only CJK) still need a slug
+    return slug || 'post';
+}
+
+export { slugify }
@@ -0,0 +1,64 @@
+// Small text helpers shared by search, revisions and anything else
+// that needs the readable text of a post instead of its Quill HTML.
+
+// Quill stores HTML, turn it into plain text (block ends become line breaks)
+const htmlToText = (html = '') => html
+    .replace(/<\/(p|h[1-6]|li|div)>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const escapeHtml = (text = '') => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// makes user input safe to use inside a RegExp / $regex
+const escapeRegex = (text = '') => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// the words of a search query, without $text operators like "-word" or quotes
+const searchTerms = (query = '') => [...new Set(
+    query
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith('-'))
+        .map((word) => word.replace(/"/g, '').toLowerCase())
+        .filter(Boolean)
+)];
+
+// Wraps every occurrence of the terms in <mark>. Every piece of the text is
+// escaped, so the result is safe to render as HTML.
+const highlight = (text, terms) => {
+    if (!terms.length) return escapeHtml(text);
+    const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+    // with a capture group, split puts the matches at the odd indexes
+    return text
+        .split(pattern)
+        .map((part, index) => index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+// A short piece of text around the first match, highlighted.
+// Falls back to the beginning of the text when nothing matches literally
+// (the text index also matches stemmed words like "running" for "run").
+const buildSnippet = (text = '', terms = [], radius = 80) => {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+
+    const positions = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+    const first = positions.length ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - radius);
+    const end = Math.min(flat.length, first + radius);
+    const piece = flat.slice(start, end);
+
+    return `${start > 0 ? '… ' : ''}${highlight(piece, terms)}${end < flat.length ? ' …' : ''}`;
+}
+
+export { htmlToText, escapeHtml, escapeRegex, searchTerms, highlight, buildSnippet }
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+// One-off tokens sent by email (email change, password reset...).
+// Only the sha256 hash is stored, so a leaked database cannot be used to take over accounts.
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// returns the token for the link and the hash to save on the user
+const createToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+}
+
+export { createToken, hashToken }
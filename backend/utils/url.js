@@ -0,0 +1,27 @@
+// Absolute addresses for anything read outside the SPA (feeds, sitemap, emails...).
+// SITE_URL is where the frontend is served, API_URL where this server is reachable
+// (the same address when this server also serves the frontend build).
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const siteUrl = (path = '') =>
+    `${trimSlash(process.env.SITE_URL || process.env.CORS_ORIGIN || 'http://localhost:5173')}${path}`;
+
+const apiUrl = (path = '') =>
+    `${trimSlash(process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`)}${path}`;
+
+// same rules as blogPath() in the frontend: /@username/slug, or /blog/:id for posts without a slug
+const postPath = (blog) => {
+    if (blog.slug && blog.author?.username) {
+        return `/@${encodeURIComponent(blog.author.username)}/${encodeURIComponent(blog.slug)}`;
+    }
+    return `/blog/${blog._id}`;
+}
+
+// public profile page of an author
+const authorPath = (author) => `/u/${encodeURIComponent(author.username)}`;
+
+// uploads are stored as /uploads/... paths, anything else is already absolute
+const assetUrl = (url) => (url && url.startsWith('/') ? apiUrl(url) : url);
+
+export { siteUrl, apiUrl, postPath, authorPath, assetUrl }
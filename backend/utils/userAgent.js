@@ -0,0 +1,35 @@
+// A short, readable name for a user agent, e.g. "Chrome on Windows", for the sessions list.
+// Order matters: Edge and Opera also claim to be Chrome, Chrome also claims to be Safari.
+
+const BROWSERS = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\/|FxiOS/, 'Firefox'],
+    [/Chrome\/|CriOS/, 'Chrome'],
+    [/Safari\//, 'Safari'],
+];
+
+const SYSTEMS = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux'],
+];
+
+const match = (list, userAgent) => list.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+const describeDevice = (userAgent) => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+    const browser = match(BROWSERS, userAgent);
+    const system = match(SYSTEMS, userAgent);
+    if (!browser && !system) {
+        return 'Unknown device';
+    }
+    return [browser || 'Browser', system].filter(Boolean).join(' on ');
+}
+
+export { describeDevice }
@@ -0,0 +1,83 @@
+// Word level diff used by the revision history.
+// Returns an array of chunks like { type: 'equal' | 'insert' | 'delete', value: '...' }
+
+// beyond this many LCS cells we stop diffing word by word and
+// just report the changed middle part as one delete + one insert
+const MAX_CELLS = 4_000_000;
+
+const tokenize = (text = '') => text.split(/(\s+)/).filter(Boolean);
+
+const pushChunk = (chunks, type, value) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+        last.value += value;
+    } else {
+        chunks.push({ type, value });
+    }
+}
+
+const wordDiff = (oldText, newText) => {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    // skip the common prefix and suffix, most edits only touch a small part
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const chunks = [];
+    if (start > 0) {
+        pushChunk(chunks, 'equal', a.slice(0, start).join(''));
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if ((n + 1) * (m + 1) > MAX_CELLS) {
+        if (n) pushChunk(chunks, 'delete', midA.join(''));
+        if (m) pushChunk(chunks, 'insert', midB.join(''));
+    } else {
+        // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                pushChunk(chunks, 'equal', midA[i]);
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                pushChunk(chunks, 'delete', midA[i++]);
+            } else {
+                pushChunk(chunks, 'insert', midB[j++]);
+            }
+        }
+        while (i < n) pushChunk(chunks, 'delete', midA[i++]);
+        while (j < m) pushChunk(chunks, 'insert', midB[j++]);
+    }
+
+    if (endA < a.length) {
+        pushChunk(chunks, 'equal', a.slice(endA).join(''));
+    }
+    return chunks;
+}
+
+export { wordDiff }
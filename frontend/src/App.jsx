@@ -4,11 +4,20 @@ import Layout from "./components/Layout";
 import Landing from "./pages/Landing";
 import SignIn from "./pages/SignIn";
 import SignUp from "./pages/SignUp";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import ProtectedRoute from "./components/ProtectedRoutes";
 import Dashboard from "./components/Dashboard";
 import Compose from "./components/Compose";
 import BlogDetail from "./components/BlogDetail";
 import AllBlogs from "./components/AllBlogs";
+import TagBlogs from "./pages/TagBlogs";
+import ReadingLists from "./pages/ReadingLists";
+import AuthorProfile from "./pages/AuthorProfile";
+import Settings from "./pages/Settings";
+import ConfirmEmail from "./pages/ConfirmEmail";
+import VerifyEmail from "./pages/VerifyEmail";
+import Admin from "./pages/Admin";
 
 function App() {
   return (
@@ -18,6 +27,8 @@ function App() {
           <Route path="/" element={<Landing />} />
           <Route path="/login" element={<SignIn />} />
           <Route path="/signup" element={<SignUp />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route
             path="/dashboard"
             element={
@@ -34,6 +45,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/edit/:id"
+            element={
+              <ProtectedRoute>
+                <Compose />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/blog/:id"
             element={
@@ -50,6 +69,52 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/tags/:tag"
+            element={
+              <ProtectedRoute>
+                <TagBlogs />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/reading-lists"
+            element={
+              <ProtectedRoute>
+                <ReadingLists />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute>
+                <Settings />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin"
+            element={
+              <ProtectedRoute>
+                <Admin />
+              </ProtectedRoute>
+            }
+          />
+          {/* opened from the email change link, may be on a device that is not logged in */}
+          <Route path="/confirm-email" element={<ConfirmEmail />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          {/* author profiles are public, like the API behind them */}
+          <Route path="/u/:username" element={<AuthorProfile />} />
+          {/* permalinks like /@username/my-post, static routes above always win */}
+          <Route
+            path="/:handle/:slug"
+            element={
+              <ProtectedRoute>
+                <BlogDetail />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </Layout>
     </AuthProvider>
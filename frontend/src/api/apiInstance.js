@@ -1,18 +1,80 @@
 import axios from "axios";
 
+// the backend also serves uploaded files, e.g. `${API_ORIGIN}/uploads/...`
+export const API_ORIGIN = "http://localhost:8000";
+
 const axiosInstance = axios.create({
-  baseURL: "http://localhost:8000/api/v1/users",
+  baseURL: `${API_ORIGIN}/api/v1/users`,
   withCredentials: true,  // for sending cookies like refreshToken, accessToken
 });
 
 const blogAxiosInstance = axios.create({
-  baseURL: "http://localhost:8000/api/v1/blogs",
+  baseURL: `${API_ORIGIN}/api/v1/blogs`,
+  withCredentials: true,  // for sending cookies like refreshToken, accessToken
+});
+
+const mediaAxiosInstance = axios.create({
+  baseURL: `${API_ORIGIN}/api/v1/media`,
+  withCredentials: true,  // for sending cookies like refreshToken, accessToken
+});
+
+const adminAxiosInstance = axios.create({
+  baseURL: `${API_ORIGIN}/api/v1/admin`,
   withCredentials: true,  // for sending cookies like refreshToken, accessToken
 });
 
+const readingListAxiosInstance = axios.create({
+  baseURL: `${API_ORIGIN}/api/v1/reading-lists`,
+  withCredentials: true,  // for sending cookies like refreshToken, accessToken
+});
+
+// Expired access tokens are renewed on the fly: a request that fails with 401 waits for
+// a single shared call to /users/refresh-token and is then sent again. If the refresh
+// fails as well the session is over and the handler set by AuthContext logs the user out.
+let refreshPromise = null;
+let onSessionExpired = () => {};
+
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+const refreshSession = () => {
+  refreshPromise ??= axios
+    .post(`${API_ORIGIN}/api/v1/users/refresh-token`, {}, { withCredentials: true })
+    .catch((error) => {
+      // another tab refreshed the same token a moment ago, its new cookie is already set
+      if (error.response?.status === 409) return;
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+  return refreshPromise;
+};
+
+const retryAfterRefresh = (instance) => async (error) => {
+  const { config, response } = error;
+  // login opts out, its 401 means wrong credentials; every other 401 is about the access token
+  // (a wrong current password in the settings is a 403). A replayed request only gets one chance
+  if (response?.status !== 401 || !config || config.skipAuthRefresh || config.isRetry) {
+    throw error;
+  }
+  try {
+    await refreshSession();
+  } catch {
+    onSessionExpired();
+    throw error;
+  }
+  return instance({ ...config, isRetry: true });
+};
+
+[axiosInstance, blogAxiosInstance, mediaAxiosInstance, adminAxiosInstance, readingListAxiosInstance].forEach(
+  (instance) => instance.interceptors.response.use(undefined, retryAfterRefresh(instance))
+);
+
 export const registerUser = async (formData) => {
   try {
-    const response = await axiosInstance.post("/register", formData);
+    const response = await axiosInstance.post("/register", formData, { skipAuthRefresh: true });
     return response.data;
   } catch (error) {
     throw error.response ? error.response.data : error.message;
@@ -21,7 +83,64 @@ export const registerUser = async (formData) => {
 
 export const loginUser = async (formData) => {
   try {
-    const response = await axiosInstance.post("/login", formData);
+    const response = await axiosInstance.post("/login", formData, { skipAuthRefresh: true });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// the logged-in user according to the server, used to check the stored login
+export const getCurrentUser = async () => {
+  try {
+    const response = await axiosInstance.get("/me");
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const logoutUser = async () => {
+  try {
+    const response = await axiosInstance.post("/logout");
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// forgot-password flow
+export const forgotPassword = async (email) => {
+  try {
+    const response = await axiosInstance.post("/forgot-password", { email });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const resetPassword = async ({ token, password }) => {
+  try {
+    const response = await axiosInstance.post("/reset-password", { token, password });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// email verification after signup
+export const verifyEmail = async (token) => {
+  try {
+    const response = await axiosInstance.get("/verify-email", { params: { token } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await axiosInstance.post("/verify-email/resend");
     return response.data;
   } catch (error) {
     throw error.response ? error.response.data : error.message;
@@ -29,9 +148,9 @@ export const loginUser = async (formData) => {
 };
 
 // ✅ Blog APIs (Clean Export)
-export const getAllBlogs = async ({page,limit,theme}) => {
+export const getAllBlogs = async ({page,limit,theme,status}) => {
   try {
-    const response = await blogAxiosInstance.get(`/all?page=${page}&limit=${limit}${theme ? `&theme=${theme}` : ''}`);
+    const response = await blogAxiosInstance.get(`/all?page=${page}&limit=${limit}${theme ? `&theme=${theme}` : ''}${status ? `&status=${status}` : ''}`);
     return response.data;
   } catch (error) {
     throw error.response ? error.response.data : error.message;
@@ -56,9 +175,33 @@ export const getBlogById = async (blogId) => {
   }
 };
 
-export const searchBlogs = async ({query , page , limit}) => {
+// permalink lookup, an old slug is redirected to the current one by the server
+export const getBlogBySlug = async (username, slug) => {
   try {
-    const response = await blogAxiosInstance.get(`/search?query=${query}&page=${page}&limit=${limit}`);
+    const response = await blogAxiosInstance.get(
+      `/by-slug/${encodeURIComponent(username)}/${encodeURIComponent(slug)}`
+    );
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const searchBlogs = async ({query , page , limit, theme, tag, status}) => {
+  try {
+    const response = await blogAxiosInstance.get(`/search?query=${encodeURIComponent(query)}&page=${page}&limit=${limit}${theme ? `&theme=${theme}` : ''}${tag ? `&tag=${encodeURIComponent(tag)}` : ''}${status ? `&status=${status}` : ''}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// full-text search over everyone's public posts
+export const searchPublicBlogs = async ({ query, page = 1, limit = 10, theme = "", tag = "" }) => {
+  try {
+    const response = await blogAxiosInstance.get(`/public/search`, {
+      params: { query, page, limit, theme, tag },
+    });
     return response.data;
   } catch (error) {
     throw error.response ? error.response.data : error.message;
@@ -74,6 +217,24 @@ export const shareBlog = async (blogId) => {
   }
 };
 
+export const updateBlog = async (blogId, blogData) => {
+  try {
+    const response = await blogAxiosInstance.patch(`/${blogId}`, blogData);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const updateBlogStatus = async (blogId, status) => {
+  try {
+    const response = await blogAxiosInstance.patch(`/${blogId}/status`, { status });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
 export const deleteBlog = async (blogId) => {
   try {
     const response = await blogAxiosInstance.delete(`/${blogId}`);
@@ -82,10 +243,39 @@ export const deleteBlog = async (blogId) => {
     throw error.response ? error.response.data : error.message;
   }
 }
-export const getAllPublicBlogs = async ({ page = 1, limit = 10, theme = "" }) => {
+export const getRevisions = async (blogId) => {
+  try {
+    const response = await blogAxiosInstance.get(`/${blogId}/revisions`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const diffRevisions = async (blogId, { from, to }) => {
+  try {
+    const response = await blogAxiosInstance.get(`/${blogId}/revisions/diff`, {
+      params: { from, to },
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const restoreRevision = async (blogId, revisionId) => {
+  try {
+    const response = await blogAxiosInstance.post(`/${blogId}/revisions/${revisionId}/restore`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getAllPublicBlogs = async ({ page = 1, limit = 10, theme = "", tag = "" }) => {
   try {
     const response = await blogAxiosInstance.get(`/public`, {
-      params: { page, limit, theme },
+      params: { page, limit, theme, tag },
     });
     return response.data;
   } catch (error) {
@@ -94,4 +284,393 @@ export const getAllPublicBlogs = async ({ page = 1, limit = 10, theme = "" }) =>
   }
 };
 
-export default {axiosInstance , blogAxiosInstance};
+export const getTags = async ({ limit = 50 } = {}) => {
+  try {
+    const response = await blogAxiosInstance.get(`/tags`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getComments = async (blogId, { page = 1, limit = 10 } = {}) => {
+  try {
+    const response = await blogAxiosInstance.get(`/${blogId}/comments`, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const createComment = async (blogId, { body, parent }) => {
+  try {
+    const response = await blogAxiosInstance.post(`/${blogId}/comments`, { body, parent });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const updateComment = async (blogId, commentId, body) => {
+  try {
+    const response = await blogAxiosInstance.patch(`/${blogId}/comments/${commentId}`, { body });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const deleteComment = async (blogId, commentId) => {
+  try {
+    const response = await blogAxiosInstance.delete(`/${blogId}/comments/${commentId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const toggleReaction = async (blogId, type) => {
+  try {
+    const response = await blogAxiosInstance.post(`/${blogId}/reactions/${type}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getFeed = async ({ page = 1, limit = 10 }) => {
+  try {
+    const response = await blogAxiosInstance.get(`/feed`, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getFollowStatus = async (userId) => {
+  try {
+    const response = await axiosInstance.get(`/${userId}/follow`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const followUser = async (userId) => {
+  try {
+    const response = await axiosInstance.post(`/${userId}/follow`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const unfollowUser = async (userId) => {
+  try {
+    const response = await axiosInstance.delete(`/${userId}/follow`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// account settings of the logged-in user
+export const updateProfile = async (changes) => {
+  try {
+    const response = await axiosInstance.patch("/account", changes);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const changePassword = async ({ currentPassword, newPassword }) => {
+  try {
+    const response = await axiosInstance.post("/account/password", { currentPassword, newPassword });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const requestEmailChange = async ({ newEmail, password }) => {
+  try {
+    const response = await axiosInstance.post("/account/email", { newEmail, password });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const confirmEmailChange = async (token) => {
+  try {
+    const response = await axiosInstance.post("/account/email/confirm", { token });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// posts is "delete" or "anonymize"
+export const deleteAccount = async ({ password, posts }) => {
+  try {
+    const response = await axiosInstance.delete("/account", { data: { password, posts } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// signed-in devices of the logged-in user
+export const getSessions = async () => {
+  try {
+    const response = await axiosInstance.get("/sessions");
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await axiosInstance.delete(`/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const revokeOtherSessions = async () => {
+  try {
+    const response = await axiosInstance.delete("/sessions");
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// public author profiles
+export const getUserProfile = async (username) => {
+  try {
+    const response = await axiosInstance.get(`/${encodeURIComponent(username)}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getUserPosts = async (username, { page = 1, limit = 10 } = {}) => {
+  try {
+    const response = await axiosInstance.get(`/${encodeURIComponent(username)}/posts`, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// Reading lists / bookmarks
+export const getMyReadingLists = async () => {
+  try {
+    const response = await readingListAxiosInstance.get("/");
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getReadingList = async (listId) => {
+  try {
+    const response = await readingListAxiosInstance.get(`/${listId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const createReadingList = async ({ name, visibility }) => {
+  try {
+    const response = await readingListAxiosInstance.post("/", { name, visibility });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const updateReadingList = async (listId, changes) => {
+  try {
+    const response = await readingListAxiosInstance.patch(`/${listId}`, changes);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const deleteReadingList = async (listId) => {
+  try {
+    const response = await readingListAxiosInstance.delete(`/${listId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const addToReadingList = async (listId, blogId) => {
+  try {
+    const response = await readingListAxiosInstance.put(`/${listId}/posts/${blogId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const removeFromReadingList = async (listId, blogId) => {
+  try {
+    const response = await readingListAxiosInstance.delete(`/${listId}/posts/${blogId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// Media library
+export const uploadMedia = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append("file", file);
+    const response = await mediaAxiosInstance.post("/", formData);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const getMyMedia = async ({ page = 1, limit = 24 } = {}) => {
+  try {
+    const response = await mediaAxiosInstance.get("/", { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const deleteMedia = async (mediaId) => {
+  try {
+    const response = await mediaAxiosInstance.delete(`/${mediaId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// report a post to the moderators, reason is one of spam, harassment, hate, ...
+export const reportBlog = async (blogId, { reason, note }) => {
+  try {
+    const response = await blogAxiosInstance.post(`/${blogId}/report`, { reason, note });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// moderation console, staff only
+export const adminListUsers = async ({ q = "", role = "", suspended = "", page = 1 } = {}) => {
+  try {
+    const response = await adminAxiosInstance.get("/users", { params: { q, role, suspended, page } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminSuspendUser = async (userId, reason) => {
+  try {
+    const response = await adminAxiosInstance.post(`/users/${userId}/suspend`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminUnsuspendUser = async (userId, reason) => {
+  try {
+    const response = await adminAxiosInstance.post(`/users/${userId}/unsuspend`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminChangeRole = async (userId, role, reason) => {
+  try {
+    const response = await adminAxiosInstance.patch(`/users/${userId}/role`, { role, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminListBlogs = async ({ q = "", status = "", page = 1 } = {}) => {
+  try {
+    const response = await adminAxiosInstance.get("/blogs", { params: { q, status, page } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminUnpublishBlog = async (blogId, reason) => {
+  try {
+    const response = await adminAxiosInstance.post(`/blogs/${blogId}/unpublish`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminDeleteBlog = async (blogId, reason) => {
+  try {
+    const response = await adminAxiosInstance.delete(`/blogs/${blogId}`, { data: { reason } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminGetReportQueue = async ({ page = 1 } = {}) => {
+  try {
+    const response = await adminAxiosInstance.get("/reports", { params: { page } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminGetBlogReports = async (blogId) => {
+  try {
+    const response = await adminAxiosInstance.get(`/reports/${blogId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+// decision is one of dismiss, hide, warn
+export const adminResolveReports = async (blogId, decision, reason) => {
+  try {
+    const response = await adminAxiosInstance.post(`/reports/${blogId}/${decision}`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export const adminGetModerationLog = async ({ page = 1 } = {}) => {
+  try {
+    const response = await adminAxiosInstance.get("/actions", { params: { page } });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error.message;
+  }
+};
+
+export default {axiosInstance , blogAxiosInstance , readingListAxiosInstance , mediaAxiosInstance , adminAxiosInstance};
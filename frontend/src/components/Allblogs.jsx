@@ -1,7 +1,14 @@
 import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import { getAllPublicBlogs, searchBlogs } from "../api/apiInstance";
-import { BookOpen, Calendar, Search, X } from "lucide-react";
+import { getAllPublicBlogs, searchPublicBlogs, getFeed, API_ORIGIN } from "../api/apiInstance";
+import TagList from "./TagList";
+import ReactionBar from "./ReactionBar";
+import BookmarkButton from "./BookmarkButton";
+import ReportButton from "./ReportButton";
+import CoverImage from "./CoverImage";
+import AuthorByline from "./AuthorByline";
+import { blogPath } from "../utils/blogPath";
+import { BookOpen, Calendar, Search, X, Rss } from "lucide-react";
 
 const AllBlogs = () => {
   const [blogs, setBlogs] = useState([]); // Start with an empty array
@@ -12,6 +19,8 @@ const AllBlogs = () => {
   const [totalBlogs, setTotalBlogs] = useState(0);
   const [theme, setTheme] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
+  // "all" is the community feed, "following" only shows followed authors
+  const [feed, setFeed] = useState("all");
   
   // ✅ FIXED: Calculate totalPages safely, ensuring totalBlogs is a number
   const totalPages = totalBlogs > 0 ? Math.ceil(totalBlogs / limit) : 1;
@@ -24,7 +33,9 @@ const AllBlogs = () => {
       const params = { page: currentPage, limit, theme: currentTheme || "" };
 
       if (currentQuery) {
-        response = await searchBlogs({ query: currentQuery, ...params });
+        response = await searchPublicBlogs({ query: currentQuery, ...params });
+      } else if (feed === "following") {
+        response = await getFeed(params);
       } else {
         response = await getAllPublicBlogs(params);
       }
@@ -61,7 +72,7 @@ const AllBlogs = () => {
 
   useEffect(() => {
     fetchPublicBlogs(page, theme, searchQuery);
-  }, [page, theme]);
+  }, [page, theme, feed]);
 
 
   const formatDate = (dateString) => {
@@ -83,6 +94,29 @@ const AllBlogs = () => {
           <p className="text-lg text-gray-600">
             Explore thoughts and ideas from authors around the world.
           </p>
+          <a
+            href={`${API_ORIGIN}/feeds/posts.rss`}
+            className="inline-flex items-center mt-2 text-sm text-orange-600 hover:underline"
+          >
+            <Rss className="h-4 w-4 mr-1" />
+            Subscribe via RSS
+          </a>
+        </div>
+
+        <div className="flex justify-center space-x-2 mb-6">
+          {[["all", "Community"], ["following", "Following"]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => { setPage(1); setFeed(value); }}
+              className={`px-6 py-2 rounded-full font-medium transition-colors ${
+                feed === value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-white text-gray-700 border border-gray-300 hover:bg-gray-50"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
         <div className="bg-white rounded-2xl shadow-sm p-6 mb-8 flex flex-col md:flex-row gap-4 items-center">
@@ -91,7 +125,7 @@ const AllBlogs = () => {
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search by title or description..."
+              placeholder="Search all posts..."
               className="border border-gray-300 px-4 py-2 rounded-l-lg w-full focus:ring-indigo-500 focus:border-indigo-500"
             />
              {searchQuery && (
@@ -135,23 +169,55 @@ const AllBlogs = () => {
               {blogs.map((blog) => (
                 <div
                   key={blog?._id} // Safe access
-                  className="bg-white rounded-2xl shadow-sm overflow-hidden transform hover:-translate-y-1 transition-transform duration-300 flex flex-col"
+                  className="bg-white rounded-2xl shadow-sm transform hover:-translate-y-1 transition-transform duration-300 flex flex-col"
                 >
+                  <CoverImage cover={blog?.cover} thumbnail className="w-full h-44 rounded-t-2xl" />
                   <div className="p-6 flex flex-col flex-grow">
-                    <p className="text-sm text-indigo-600 font-semibold uppercase">{blog?.theme}</p>
+                    <div className="flex justify-between items-center">
+                      <p className="text-sm text-indigo-600 font-semibold uppercase">{blog?.theme}</p>
+                      <div className="flex items-center space-x-3">
+                        <BookmarkButton blogId={blog?._id} />
+                        <ReportButton blogId={blog?._id} authorId={blog?.author?._id} />
+                      </div>
+                    </div>
                     <h3 className="text-xl font-bold text-gray-900 mt-2 mb-3 leading-tight flex-grow">
-                      <Link to={`/blog/${blog?._id}`} className="hover:text-indigo-700">{blog?.title}</Link>
+                      {/* search results come with server-escaped HTML that only adds <mark> tags */}
+                      {blog?.highlightedTitle ? (
+                        <Link
+                          to={blogPath(blog)}
+                          className="hover:text-indigo-700"
+                          dangerouslySetInnerHTML={{ __html: blog.highlightedTitle }}
+                        />
+                      ) : (
+                        <Link to={blogPath(blog)} className="hover:text-indigo-700">{blog?.title}</Link>
+                      )}
                     </h3>
-                    <p className="text-gray-600 mt-4 text-sm line-clamp-3">{blog?.description}</p>
+                    {blog?.snippet ? (
+                      <p
+                        className="text-gray-600 mt-4 text-sm line-clamp-3"
+                        dangerouslySetInnerHTML={{ __html: blog.snippet }}
+                      />
+                    ) : (
+                      <p className="text-gray-600 mt-4 text-sm line-clamp-3">{blog?.description}</p>
+                    )}
+                    <TagList tags={blog?.tags} className="mt-4" />
+                    <div className="mt-4">
+                      <ReactionBar
+                        blogId={blog?._id}
+                        reactionCounts={blog?.reactionCounts}
+                        myReactions={blog?.myReactions}
+                        compact
+                      />
+                    </div>
                      <div className="mt-auto pt-4">
                       <div className="flex items-center text-sm text-gray-500 mt-4 border-t pt-4">
                           <Calendar className="h-4 w-4 mr-2" />
-                          <span>{formatDate(blog?.createdAt)}</span>
+                          <span>{formatDate(blog?.publishedAt || blog?.createdAt)}</span>
                           <span className="mx-2">•</span>
-                          <span>By {blog?.author?.username || 'Unknown'}</span>
+                          <AuthorByline author={blog?.author} />
                       </div>
                        <Link
-                          to={`/blog/${blog?._id}`}
+                          to={blogPath(blog)}
                           className="inline-block mt-4 text-indigo-600 hover:text-indigo-800 font-semibold"
                         >
                           Read More →
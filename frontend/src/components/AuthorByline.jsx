@@ -0,0 +1,24 @@
+import { Link } from "react-router-dom";
+import { authorPath } from "../utils/blogPath";
+import { assetUrl } from "../utils/assetUrl";
+
+// "By <name>" linking to the author's profile, with their avatar when they have one
+const AuthorByline = ({ author, showAvatar = false, className = "" }) => {
+  if (!author?.username) {
+    return <span className={className}>By Unknown</span>;
+  }
+
+  return (
+    <span className={`inline-flex items-center ${className}`}>
+      {showAvatar && author.avatar && (
+        <img src={assetUrl(author.avatar)} alt="" className="h-6 w-6 rounded-full object-cover mr-2" />
+      )}
+      By&nbsp;
+      <Link to={authorPath(author)} className="hover:text-indigo-600 hover:underline">
+        {author.displayName || author.username}
+      </Link>
+    </span>
+  );
+};
+
+export default AuthorByline;
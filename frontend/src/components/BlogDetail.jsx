@@ -1,13 +1,28 @@
 import { useEffect, useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { getBlogById } from '../api/apiInstance';
-import { ArrowLeft } from 'lucide-react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { getBlogById, getBlogBySlug } from '../api/apiInstance';
+import { blogPath } from '../utils/blogPath';
+import { useAuth } from '../context/AuthContext';
+import RevisionHistory from './RevisionHistory';
+import TagList from './TagList';
+import CommentSection from './CommentSection';
+import ReactionBar from './ReactionBar';
+import FollowButton from './FollowButton';
+import BookmarkButton from './BookmarkButton';
+import ReportButton from './ReportButton';
+import CoverImage from './CoverImage';
+import AuthorByline from './AuthorByline';
+import { ArrowLeft, History } from 'lucide-react';
 
 const BlogDetail = () => {
-  const { id } = useParams();
+  // mounted on /blog/:id and on the /@username/slug permalink
+  const { id, handle, slug } = useParams();
+  const navigate = useNavigate();
   const [blog, setBlog] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const { user } = useAuth();
 
   const themes = {
   light: 'bg-white text-gray-900',
@@ -18,9 +33,23 @@ const BlogDetail = () => {
 
   useEffect(() => {
     const fetchBlog = async () => {
+      setLoading(true);
+      setError('');
       try {
-        const res = await getBlogById(id);
-        setBlog(res.message);
+        if (slug) {
+          if (!handle.startsWith('@')) {
+            throw new Error('Page not found');
+          }
+          const res = await getBlogBySlug(handle.slice(1), slug);
+          // an old slug was redirected, show the current permalink in the address bar
+          if (res.data.slug !== slug) {
+            navigate(blogPath(res.data), { replace: true });
+          }
+          setBlog(res.data);
+        } else {
+          const res = await getBlogById(id);
+          setBlog(res.message);
+        }
       } catch (err) {
         setError(`Failed to load blog: ${err.message}`);
       } finally {
@@ -28,7 +57,17 @@ const BlogDetail = () => {
       }
     };
     fetchBlog();
-  }, [id]);
+  }, [id, handle, slug, navigate]);
+
+  // the server fills in the title for the first load, keep it right while navigating
+  useEffect(() => {
+    if (!blog?.title) return;
+    const previousTitle = document.title;
+    document.title = `${blog.title} | Blogbook`;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [blog?.title]);
 
   if (loading) {
     return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
@@ -38,25 +77,67 @@ const BlogDetail = () => {
     return <div className="min-h-screen flex items-center justify-center text-red-600">{error}</div>;
   }
 
+  const isOwner = user && blog.author?._id === user._id;
+
+  // the restored blog comes back without a populated author, keep the one we have
+  const handleRestored = (restoredBlog) => {
+    setBlog((prev) => ({ ...prev, ...restoredBlog, author: prev.author }));
+    setShowHistory(false);
+  };
+
   return (
     <div className={`min-h-screen ${themes[blog.theme]}`}>
       <div className="max-w-3xl mx-auto py-8 px-4">
-        <Link
-          to="/dashboard"
-          className="flex items-center text-indigo-600 hover:underline mb-6"
-        >
-          <ArrowLeft className="h-4 w-4 mr-1" />
-          Back to Dashboard
-        </Link>
+        <div className="flex justify-between items-center mb-6">
+          <Link
+            to="/dashboard"
+            className="flex items-center text-indigo-600 hover:underline"
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to Dashboard
+          </Link>
+          {isOwner && (
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="flex items-center text-indigo-600 hover:underline"
+            >
+              <History className="h-4 w-4 mr-1" />
+              History
+            </button>
+          )}
+        </div>
+        {showHistory && (
+          <RevisionHistory
+            blogId={blog._id}
+            onClose={() => setShowHistory(false)}
+            onRestored={handleRestored}
+          />
+        )}
+        <CoverImage cover={blog.cover} className="w-full h-auto max-h-[28rem] rounded-2xl mb-8" />
         <h1 className="text-4xl font-bold mb-4">{blog.title}</h1>
-        <p className="text-gray-600 mb-6">
-          By {blog.author.username} • {new Date(blog.createdAt).toLocaleDateString()}
-        </p>
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <p className="text-gray-600 flex items-center">
+            <AuthorByline author={blog.author} showAvatar /> • {new Date(blog.publishedAt || blog.createdAt).toLocaleDateString()}
+          </p>
+          <FollowButton userId={blog.author._id} />
+          <BookmarkButton blogId={blog._id} />
+          <ReportButton blogId={blog._id} authorId={blog.author?._id} />
+        </div>
         <p className="text-lg font-medium mb-6">{blog.description}</p>
+        <TagList tags={blog.tags} className="mb-6" />
         <div
           className="prose max-w-none"
           dangerouslySetInnerHTML={{ __html: blog.content }}
         ></div>
+        <div className="mt-8">
+          <ReactionBar
+            key={blog._id}
+            blogId={blog._id}
+            reactionCounts={blog.reactionCounts}
+            myReactions={blog.myReactions}
+          />
+        </div>
+        <CommentSection blogId={blog._id} blogAuthorId={blog.author?._id} />
       </div>
     </div>
   );
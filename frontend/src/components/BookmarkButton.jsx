@@ -0,0 +1,112 @@
+import { useState } from "react";
+import {
+  getMyReadingLists,
+  createReadingList,
+  addToReadingList,
+  removeFromReadingList,
+} from "../api/apiInstance";
+import { Bookmark, BookmarkCheck, Plus } from "lucide-react";
+
+// Bookmark icon with a small menu to put the post into one or more reading lists.
+// Lists are only loaded once the menu is opened, so feed cards stay cheap.
+const BookmarkButton = ({ blogId }) => {
+  const [open, setOpen] = useState(false);
+  const [lists, setLists] = useState(null);
+  const [newListName, setNewListName] = useState("");
+  const [error, setError] = useState("");
+
+  const isInList = (list) => list.posts.some((post) => post.blog === blogId);
+  const isBookmarked = lists?.some(isInList);
+
+  const loadLists = async () => {
+    try {
+      const res = await getMyReadingLists();
+      setLists(res.data?.readingLists || []);
+    } catch (err) {
+      setError(err.message || "Failed to load reading lists");
+    }
+  };
+
+  const handleOpen = () => {
+    if (!open && lists === null) loadLists();
+    setOpen(!open);
+  };
+
+  const replaceList = (updated) =>
+    setLists((prev) => prev.map((list) => (list._id === updated._id ? updated : list)));
+
+  const handleToggle = async (list) => {
+    setError("");
+    try {
+      const res = isInList(list)
+        ? await removeFromReadingList(list._id, blogId)
+        : await addToReadingList(list._id, blogId);
+      replaceList(res.data);
+    } catch (err) {
+      setError(err.message || "Failed to update reading list");
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    setError("");
+    try {
+      const created = await createReadingList({ name: newListName });
+      const res = await addToReadingList(created.data._id, blogId);
+      setLists((prev) => [...prev, res.data]);
+      setNewListName("");
+    } catch (err) {
+      setError(err.message || "Failed to create reading list");
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        type="button"
+        onClick={handleOpen}
+        title="Save to reading list"
+        className="flex items-center text-indigo-600 hover:text-indigo-800"
+      >
+        {isBookmarked ? <BookmarkCheck className="h-5 w-5" /> : <Bookmark className="h-5 w-5" />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-64 bg-white text-gray-900 rounded-lg shadow-lg border border-gray-200 p-4">
+          <p className="text-sm font-semibold mb-2">Save to reading list</p>
+          {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+          {lists === null ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : (
+            <ul className="space-y-1 mb-3 max-h-48 overflow-y-auto">
+              {lists.map((list) => (
+                <li key={list._id}>
+                  <label className="flex items-center space-x-2 text-sm cursor-pointer">
+                    <input type="checkbox" checked={isInList(list)} onChange={() => handleToggle(list)} />
+                    <span className="truncate">{list.name}</span>
+                  </label>
+                </li>
+              ))}
+              {lists.length === 0 && <li className="text-sm text-gray-500">No reading lists yet.</li>}
+            </ul>
+          )}
+          <form onSubmit={handleCreate} className="flex space-x-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New list..."
+              className="flex-grow border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button type="submit" className="text-indigo-600 hover:text-indigo-800">
+              <Plus className="h-5 w-5" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookmarkButton;
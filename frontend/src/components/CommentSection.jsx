@@ -0,0 +1,251 @@
+import { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { getComments, createComment, updateComment, deleteComment } from "../api/apiInstance";
+import { authorPath } from "../utils/blogPath";
+import { MessageSquare, Reply, Edit, Trash2 } from "lucide-react";
+
+// replies are indented up to this depth, deeper ones stay at the same level
+const MAX_INDENT_DEPTH = 4;
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+const CommentForm = ({ initialBody = "", submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setSaving(true);
+    try {
+      await onSubmit(body);
+      setBody("");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows="3"
+        placeholder="Write a comment..."
+        className="w-full px-4 py-3 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      ></textarea>
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !body.trim()}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, depth, blogAuthorId, onReply, onEdit, onDelete }) => {
+  const { user } = useAuth();
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+
+  const isAuthor = user && comment.author?._id === user._id;
+  const canDelete = !comment.deleted && user && (isAuthor || blogAuthorId === user._id);
+
+  return (
+    <div className={depth > 0 && depth <= MAX_INDENT_DEPTH ? "ml-6 pl-4 border-l border-gray-200" : ""}>
+      <div className="py-3">
+        {comment.deleted ? (
+          <p className="text-sm italic opacity-60">[deleted]</p>
+        ) : (
+          <>
+            <p className="text-sm opacity-70">
+              {comment.author?.username ? (
+                <Link to={authorPath(comment.author)} className="font-semibold hover:underline">
+                  {comment.author.displayName || comment.author.username}
+                </Link>
+              ) : (
+                <span className="font-semibold">Unknown</span>
+              )}
+              {" • "}
+              {formatDate(comment.createdAt)}
+              {comment.edited && " • edited"}
+            </p>
+            {editing ? (
+              <CommentForm
+                initialBody={comment.body}
+                submitLabel="Save"
+                onSubmit={async (body) => {
+                  await onEdit(comment._id, body);
+                  setEditing(false);
+                }}
+                onCancel={() => setEditing(false)}
+              />
+            ) : (
+              <p className="mt-1 whitespace-pre-wrap">{comment.body}</p>
+            )}
+          </>
+        )}
+
+        {!editing && (
+          <div className="flex space-x-4 mt-2 text-sm">
+            {user && !comment.deleted && (
+              <button onClick={() => setReplying(!replying)} className="flex items-center text-indigo-600 hover:underline">
+                <Reply className="h-4 w-4 mr-1" /> Reply
+              </button>
+            )}
+            {isAuthor && !comment.deleted && (
+              <button onClick={() => setEditing(true)} className="flex items-center opacity-70 hover:opacity-100">
+                <Edit className="h-4 w-4 mr-1" /> Edit
+              </button>
+            )}
+            {canDelete && (
+              <button onClick={() => onDelete(comment._id)} className="flex items-center opacity-70 hover:text-red-600">
+                <Trash2 className="h-4 w-4 mr-1" /> Delete
+              </button>
+            )}
+          </div>
+        )}
+
+        {replying && (
+          <div className="mt-2">
+            <CommentForm
+              submitLabel="Reply"
+              onSubmit={async (body) => {
+                await onReply(comment._id, body);
+                setReplying(false);
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          </div>
+        )}
+      </div>
+
+      {comment.replies?.map((reply) => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          depth={depth + 1}
+          blogAuthorId={blogAuthorId}
+          onReply={onReply}
+          onEdit={onEdit}
+          onDelete={onDelete}
+        />
+      ))}
+    </div>
+  );
+};
+
+const CommentSection = ({ blogId, blogAuthorId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [totalComments, setTotalComments] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [error, setError] = useState("");
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const res = await getComments(blogId, { page });
+      setComments(res.data?.comments || []);
+      setTotalComments(res.data?.totalComments || 0);
+      setTotalPages(res.data?.totalPages || 1);
+    } catch (err) {
+      setError(err.message || "Failed to load comments");
+    }
+  }, [blogId, page]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // every change reloads the current page so the tree stays in sync with the server
+  const runAndRefresh = async (action) => {
+    setError("");
+    try {
+      await action();
+      await fetchComments();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    }
+  };
+
+  const handleCreate = (body) => runAndRefresh(() => createComment(blogId, { body }));
+  const handleReply = (parent, body) => runAndRefresh(() => createComment(blogId, { body, parent }));
+  const handleEdit = (commentId, body) => runAndRefresh(() => updateComment(blogId, commentId, body));
+  const handleDelete = (commentId) => {
+    if (!window.confirm("Are you sure you want to delete this comment?")) return;
+    runAndRefresh(() => deleteComment(blogId, commentId));
+  };
+
+  return (
+    <section className="mt-12 border-t pt-8">
+      <h2 className="text-2xl font-bold mb-6 flex items-center">
+        <MessageSquare className="h-6 w-6 mr-2" />
+        Comments ({totalComments})
+      </h2>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      {user && (
+        <div className="mb-6">
+          <CommentForm submitLabel="Comment" onSubmit={handleCreate} />
+        </div>
+      )}
+
+      {comments.length === 0 ? (
+        <p className="opacity-70">No comments yet. Be the first to share your thoughts!</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              depth={0}
+              blogAuthorId={blogAuthorId}
+              onReply={handleReply}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center mt-6 space-x-4 text-sm">
+          <button
+            disabled={page === 1}
+            onClick={() => setPage((p) => p - 1)}
+            className="px-4 py-2 border rounded-lg disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button
+            disabled={page === totalPages}
+            onClick={() => setPage((p) => p + 1)}
+            className="px-4 py-2 border rounded-lg disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
@@ -1,21 +1,68 @@
-import { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { useNavigate, useParams } from "react-router-dom";
 import ReactQuill from "react-quill";
 import "react-quill/dist/quill.snow.css";
-import { postBlog } from "../api/apiInstance";
-import { Save, Eye, Palette } from "lucide-react";
+import { postBlog, getBlogById, updateBlog, uploadMedia, API_ORIGIN } from "../api/apiInstance";
+import TagInput from "./TagInput";
+import MediaLibrary from "./MediaLibrary";
+import { Save, Eye, Palette, FileText, Clock, Image, X } from "lucide-react";
+
+// <input type="datetime-local"> works with local "YYYY-MM-DDTHH:mm" strings
+const toLocalInput = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const toISODate = (localValue) => (localValue ? new Date(localValue).toISOString() : "");
 
 const Compose = () => {
+  // when mounted on /edit/:id we load the existing post and save it back with PATCH
+  const { id } = useParams();
+  const isEditing = Boolean(id);
   const [title, setTitle] = useState("");
   const [content, setContent] = useState("");
   const [theme, setTheme] = useState("light");
+  const [status, setStatus] = useState("");
+  const [publishAt, setPublishAt] = useState("");
+  const [unpublishAt, setUnpublishAt] = useState("");
   const [description, setDescription] = useState("");
+  const [tags, setTags] = useState([]);
+  // { media, url } of the cover image, the server generates the resized versions
+  const [cover, setCover] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [showPreview, setShowPreview] = useState(false);
 
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const fetchBlog = async () => {
+      setLoading(true);
+      try {
+        const res = await getBlogById(id);
+        const blog = res.message;
+        setTitle(blog.title);
+        setDescription(blog.description);
+        setContent(blog.content);
+        setTheme(blog.theme);
+        setTags(blog.tags || []);
+        setCover(blog.cover?.media ? blog.cover : null);
+        setStatus(blog.status);
+        setPublishAt(toLocalInput(blog.publishAt));
+        setUnpublishAt(toLocalInput(blog.unpublishAt));
+      } catch (err) {
+        setError(err.message || "Failed to load blog");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBlog();
+  }, [id, isEditing]);
+
   const themes = {
     light: {
       name: "Light",
@@ -37,18 +84,66 @@ const Compose = () => {
     },
   };
 
-  const modules = {
-    toolbar: [
-      [{ header: [1, 2, 3, 4, 5, 6, false] }],
-      ["bold", "italic", "underline", "strike"],
-      [{ color: [] }, { background: [] }],
-      [{ list: "ordered" }, { list: "bullet" }],
-      [{ align: [] }],
-      ["link", "image"],
-      ["clean"],
-    ],
+  const quillRef = useRef(null);
+  // the media library is opened either for the editor ("content") or for the cover
+  const [mediaTarget, setMediaTarget] = useState(null);
+
+  const insertImage = useCallback((url) => {
+    const editor = quillRef.current?.getEditor();
+    if (!editor) return;
+    const range = editor.getSelection(true);
+    editor.insertEmbed(range.index, "image", url, "user");
+    editor.setSelection(range.index + 1);
+  }, []);
+
+  // Quill would inline the picked image as base64, upload it to the media library instead
+  const handleImageButton = useCallback(() => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "image/jpeg,image/png,image/gif,image/webp";
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) return;
+      setError("");
+      try {
+        const res = await uploadMedia(file);
+        insertImage(`${API_ORIGIN}${res.data.url}`);
+      } catch (err) {
+        setError(err.message || "Image upload failed");
+      }
+    };
+    input.click();
+  }, [insertImage]);
+
+  const handleCoverUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const res = await uploadMedia(file);
+      setCover({ media: res.data._id, url: res.data.url });
+    } catch (err) {
+      setError(err.message || "Cover upload failed");
+    }
   };
 
+  // memoized: ReactQuill rebuilds the editor whenever modules changes
+  const modules = useMemo(() => ({
+    toolbar: {
+      container: [
+        [{ header: [1, 2, 3, 4, 5, 6, false] }],
+        ["bold", "italic", "underline", "strike"],
+        [{ color: [] }, { background: [] }],
+        [{ list: "ordered" }, { list: "bullet" }],
+        [{ align: [] }],
+        ["link", "image"],
+        ["clean"],
+      ],
+      handlers: { image: handleImageButton },
+    },
+  }), [handleImageButton]);
+
   const formats = [
     "header",
     "bold",
@@ -64,7 +159,8 @@ const Compose = () => {
     "image",
   ];
 
-  const handleSubmit = async (e) => {
+  // nextStatus is "draft" or "published", or undefined to keep the current status
+  const handleSubmit = async (e, nextStatus) => {
     e.preventDefault();
     if (!title.trim() || !content.trim()) {
       setError("Please fill in both title and content");
@@ -74,17 +170,31 @@ const Compose = () => {
     setLoading(true);
     setError("");
 
+    const schedule = {
+      publishAt: toISODate(publishAt),
+      unpublishAt: toISODate(unpublishAt),
+    };
+    const coverImage = cover ? cover.media : null;
+
     try {
-      await postBlog({ title, description, content, theme });
+      if (isEditing) {
+        await updateBlog(id, { title, description, content, theme, tags, coverImage, status: nextStatus, ...schedule });
+      } else {
+        await postBlog({ title, description, content, theme, tags, coverImage, status: nextStatus, ...schedule });
+      }
       navigate("/dashboard");
     } catch (err) {
-      setError(err.response?.data?.message || "Failed to save blog");
+      setError(err.message || err.response?.data?.message || "Failed to save blog");
     } finally {
       setLoading(false);
     }
   };
 
   const currentTheme = themes[theme];
+  // drafts get published by the main button, anything else is just updated in place
+  const publishStatus = isEditing && status !== "draft" ? undefined : "published";
+  const canSchedulePublish = !isEditing || status === "draft";
+  const isScheduled = canSchedulePublish && publishAt && new Date(publishAt) > new Date();
 
   return (
     <div
@@ -96,7 +206,7 @@ const Compose = () => {
           <h1
             className={`text-3xl font-bold ${currentTheme.text} mb-4 sm:mb-0`}
           >
-            Write Your Story
+            {isEditing ? "Edit Your Story" : "Write Your Story"}
           </h1>
 
           <div className="flex items-center space-x-4">
@@ -134,7 +244,7 @@ const Compose = () => {
         )}
 
         {!showPreview ? (
-          <form onSubmit={handleSubmit} className="space-y-6">
+          <form onSubmit={(e) => handleSubmit(e, publishStatus)} className="space-y-6">
             {/* Title Input */}
             <div>
               <input
@@ -157,10 +267,65 @@ const Compose = () => {
               ></textarea>
             </div>
 
+            {/* Cover Image */}
+            <div>
+              {cover ? (
+                <div className="relative">
+                  <img
+                    src={`${API_ORIGIN}${cover.url}`}
+                    alt="Cover"
+                    className="w-full h-56 object-cover rounded-lg"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setCover(null)}
+                    className="absolute top-2 right-2 bg-white/90 rounded-full p-1 text-gray-600 hover:text-red-600"
+                    title="Remove cover"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className={`flex items-center space-x-4 text-sm ${currentTheme.text}`}>
+                  <Image className="h-4 w-4" />
+                  <label className="cursor-pointer hover:text-indigo-600">
+                    Upload a cover image
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/gif,image/webp"
+                      onChange={handleCoverUpload}
+                      className="hidden"
+                    />
+                  </label>
+                  <button type="button" onClick={() => setMediaTarget("cover")} className="hover:text-indigo-600">
+                    or choose from my media
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Tags Input */}
+            <TagInput
+              tags={tags}
+              onChange={setTags}
+              className={`${currentTheme.border} ${currentTheme.bg} ${currentTheme.text}`}
+            />
+
             {/* Content Editor */}
             <div className="relative">
+              <div className="flex justify-end mb-2">
+                <button
+                  type="button"
+                  onClick={() => setMediaTarget("content")}
+                  className={`flex items-center space-x-1 text-sm ${currentTheme.text} hover:text-indigo-600`}
+                >
+                  <Image className="h-4 w-4" />
+                  <span>My media</span>
+                </button>
+              </div>
               <div className="bg-white rounded-lg shadow-sm overflow-hidden">
                 <ReactQuill
+                  ref={quillRef}
                   theme="snow"
                   value={content}
                   onChange={setContent}
@@ -174,8 +339,59 @@ const Compose = () => {
               <div className="h-20"></div>
             </div>
 
-            {/* Submit Button */}
-            <div className="flex justify-end mt-6">
+            {mediaTarget && (
+              <MediaLibrary
+                onSelect={(item) => {
+                  if (mediaTarget === "cover") {
+                    setCover({ media: item._id, url: item.url });
+                  } else {
+                    insertImage(`${API_ORIGIN}${item.url}`);
+                  }
+                  setMediaTarget(null);
+                }}
+                onClose={() => setMediaTarget(null)}
+              />
+            )}
+
+            {/* Scheduling */}
+            <div className="flex flex-col sm:flex-row gap-4">
+              {canSchedulePublish && (
+                <label className={`flex items-center space-x-2 text-sm ${currentTheme.text}`}>
+                  <Clock className="h-4 w-4" />
+                  <span>Publish at</span>
+                  <input
+                    type="datetime-local"
+                    value={publishAt}
+                    onChange={(e) => setPublishAt(e.target.value)}
+                    className={`px-3 py-2 rounded-lg border ${currentTheme.border} ${currentTheme.bg} ${currentTheme.text}`}
+                  />
+                </label>
+              )}
+              <label className={`flex items-center space-x-2 text-sm ${currentTheme.text}`}>
+                <Clock className="h-4 w-4" />
+                <span>Unpublish at</span>
+                <input
+                  type="datetime-local"
+                  value={unpublishAt}
+                  onChange={(e) => setUnpublishAt(e.target.value)}
+                  className={`px-3 py-2 rounded-lg border ${currentTheme.border} ${currentTheme.bg} ${currentTheme.text}`}
+                />
+              </label>
+            </div>
+
+            {/* Submit Buttons */}
+            <div className="flex justify-end space-x-4 mt-6">
+              {canSchedulePublish && (
+                <button
+                  type="button"
+                  onClick={(e) => handleSubmit(e, "draft")}
+                  disabled={loading}
+                  className="border border-indigo-600 text-indigo-600 px-8 py-3 rounded-lg font-semibold hover:bg-indigo-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                >
+                  <FileText className="h-5 w-5" />
+                  <span>Save draft</span>
+                </button>
+              )}
               <button
                 type="submit"
                 disabled={loading}
@@ -186,7 +402,7 @@ const Compose = () => {
                 ) : (
                   <>
                     <Save className="h-5 w-5" />
-                    <span>Publish Blog</span>
+                    <span>{isScheduled ? "Schedule Blog" : publishStatus ? "Publish Blog" : "Update Blog"}</span>
                   </>
                 )}
               </button>
@@ -197,6 +413,13 @@ const Compose = () => {
           <div
             className={`${currentTheme.bg} ${currentTheme.text} rounded-lg p-8 border ${currentTheme.border} shadow-sm`}
           >
+            {cover && (
+              <img
+                src={`${API_ORIGIN}${cover.url}`}
+                alt=""
+                className="w-full h-64 object-cover rounded-lg mb-6"
+              />
+            )}
             <h1 className="text-4xl font-bold mb-6">
               {title || "Your Title Here"}
             </h1>
@@ -0,0 +1,43 @@
+import { API_ORIGIN } from "../api/apiInstance";
+
+// Cover of a post. The blurred placeholder is inlined in the post data and shown
+// as the background until the real image has loaded. Lists use the small
+// thumbnail, the post page lets the browser pick a size from srcset.
+const CoverImage = ({ cover, thumbnail = false, sizes = "(max-width: 768px) 100vw, 768px", className = "" }) => {
+  if (!cover?.url) return null;
+
+  const style = cover.placeholder
+    ? { backgroundImage: `url("${cover.placeholder}")`, backgroundSize: "cover", backgroundPosition: "center" }
+    : undefined;
+
+  if (thumbnail) {
+    return (
+      <img
+        src={`${API_ORIGIN}${cover.thumbnailUrl || cover.url}`}
+        alt=""
+        loading="lazy"
+        style={style}
+        className={`object-cover ${className}`}
+      />
+    );
+  }
+
+  const srcSet = (cover.variants || [])
+    .map((variant) => `${API_ORIGIN}${variant.url} ${variant.width}w`)
+    .join(", ");
+
+  return (
+    <img
+      src={`${API_ORIGIN}${cover.url}`}
+      srcSet={srcSet || undefined}
+      sizes={srcSet ? sizes : undefined}
+      width={cover.width}
+      height={cover.height}
+      alt=""
+      style={style}
+      className={`object-cover ${className}`}
+    />
+  );
+};
+
+export default CoverImage;
@@ -1,8 +1,24 @@
 import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { getAllBlogs, searchBlogs, deleteBlog } from "../api/apiInstance";
-import { Plus, BookOpen, Calendar, User, Trash2, Edit } from "lucide-react";
+import { getAllBlogs, searchBlogs, deleteBlog, updateBlogStatus } from "../api/apiInstance";
+import { blogPath } from "../utils/blogPath";
+import CoverImage from "./CoverImage";
+import VerifyEmailBanner from "./VerifyEmailBanner";
+import { Plus, BookOpen, Calendar, User, Trash2, Edit, Archive, Send } from "lucide-react";
+
+const statusTabs = [
+  { value: "", label: "All" },
+  { value: "published", label: "Published" },
+  { value: "draft", label: "Drafts" },
+  { value: "archived", label: "Archived" },
+];
+
+const statusBadges = {
+  draft: "bg-yellow-100 text-yellow-800",
+  published: "bg-green-100 text-green-800",
+  archived: "bg-gray-200 text-gray-700",
+};
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -13,15 +29,16 @@ const Dashboard = () => {
   const [limit] = useState(5);
   const [totalBlogs, setTotalBlogs] = useState(0);
   const [theme, setTheme] = useState("");
+  const [status, setStatus] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
   const totalPages = totalBlogs > 0 ? Math.ceil(totalBlogs / limit) : 1;
 
-  const fetchData = async (currentPage, currentTheme, currentQuery) => {
+  const fetchData = async (currentPage, currentTheme, currentQuery, currentStatus = status) => {
     setLoading(true);
     setError("");
     try {
       let response;
-      const params = { page: currentPage, limit, theme: currentTheme || "" };
+      const params = { page: currentPage, limit, theme: currentTheme || "", status: currentStatus };
 
       if (currentQuery) {
         response = await searchBlogs({ query: currentQuery, ...params });
@@ -50,8 +67,8 @@ const Dashboard = () => {
   };
 
   useEffect(() => {
-    fetchData(page, theme, searchQuery);
-  }, [page, theme]);
+    fetchData(page, theme, searchQuery, status);
+  }, [page, theme, status]);
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -71,6 +88,15 @@ const Dashboard = () => {
     }
   };
 
+  const handleStatusChange = async (id, nextStatus) => {
+    try {
+      await updateBlogStatus(id, nextStatus);
+      fetchData(page, theme, searchQuery);
+    } catch (err) {
+      alert(err.message || "Failed to update status");
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return "N/A";
     return new Date(dateString).toLocaleDateString("en-US", {
@@ -83,6 +109,8 @@ const Dashboard = () => {
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {user?.emailVerified === false && <VerifyEmailBanner email={user.email} />}
+
         {/* Header */}
         <div className="bg-white rounded-2xl shadow-sm p-8 mb-8">
           <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
@@ -132,8 +160,23 @@ const Dashboard = () => {
 
         {/* Blogs List */}
         <div className="bg-white rounded-2xl shadow-sm">
-          <div className="p-6 border-b border-gray-200">
+          <div className="p-6 border-b border-gray-200 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
             <h2 className="text-xl font-semibold text-gray-900">Your Blogs ({totalBlogs})</h2>
+            <div className="flex space-x-2">
+              {statusTabs.map((tab) => (
+                <button
+                  key={tab.value}
+                  onClick={() => { setPage(1); setStatus(tab.value); }}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    status === tab.value
+                      ? "bg-indigo-600 text-white"
+                      : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
           </div>
 
           {loading ? (
@@ -146,21 +189,46 @@ const Dashboard = () => {
                 key={blog._id}
                 className="p-6 border-b hover:bg-gray-50 transition flex justify-between items-center"
               >
+                <div className="flex items-center">
+                <CoverImage cover={blog.cover} thumbnail className="w-20 h-14 rounded-lg mr-4 flex-shrink-0" />
                 <div>
-                    <h3 className="text-lg font-bold text-gray-900">
+                    <h3 className="text-lg font-bold text-gray-900 flex items-center">
                         {blog.title}
+                        <span className={`ml-3 px-2 py-0.5 rounded-full text-xs font-medium capitalize ${statusBadges[blog.status] || statusBadges.published}`}>
+                            {blog.status || "published"}
+                        </span>
                     </h3>
                     <p className="text-gray-600 mb-2 text-sm">
-                        Published on {formatDate(blog.createdAt)}
+                        {blog.status === "draft"
+                          ? blog.publishAt
+                            ? `Scheduled for ${formatDate(blog.publishAt)}`
+                            : `Last edited on ${formatDate(blog.updatedAt)}`
+                          : `Published on ${formatDate(blog.publishedAt || blog.createdAt)}`}
+                        {blog.status === "published" && blog.unpublishAt && ` • Expires on ${formatDate(blog.unpublishAt)}`}
                     </p>
+                    {blog.takedown?.at ? (
+                        <p className="text-red-600 mb-2 text-sm">Taken down by a moderator: {blog.takedown.reason}</p>
+                    ) : blog.hiddenForReviewAt && (
+                        <p className="text-orange-600 mb-2 text-sm">Hidden while moderators review reader reports</p>
+                    )}
                     <Link
-                        to={`/blog/${blog._id}`}
+                        to={blogPath(blog)}
                         className="text-indigo-600 hover:underline font-medium text-sm"
                     >
                         Read More →
                     </Link>
                 </div>
+                </div>
                 <div className="flex items-center space-x-4">
+                    {blog.status === "published" ? (
+                        <button onClick={() => handleStatusChange(blog._id, "archived")} title="Archive" className="text-gray-500 hover:text-indigo-600">
+                            <Archive className="h-5 w-5"/>
+                        </button>
+                    ) : (
+                        <button onClick={() => handleStatusChange(blog._id, "published")} title="Publish" className="text-gray-500 hover:text-indigo-600">
+                            <Send className="h-5 w-5"/>
+                        </button>
+                    )}
                     <Link to={`/edit/${blog._id}`} className="text-gray-500 hover:text-indigo-600">
                         <Edit className="h-5 w-5"/>
                     </Link>
@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { getFollowStatus, followUser, unfollowUser } from "../api/apiInstance";
+import { UserPlus, UserCheck } from "lucide-react";
+
+const FollowButton = ({ userId }) => {
+  const { user } = useAuth();
+  const [stats, setStats] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    if (!userId) return;
+    getFollowStatus(userId)
+      .then((res) => setStats(res.data))
+      .catch(() => setStats(null));
+  }, [userId]);
+
+  // nothing to follow on your own posts
+  if (!stats || !user || user._id === userId) {
+    return stats ? (
+      <span className="text-sm opacity-70">{stats.followersCount} followers</span>
+    ) : null;
+  }
+
+  const handleClick = async () => {
+    setPending(true);
+    try {
+      const res = stats.isFollowing ? await unfollowUser(userId) : await followUser(userId);
+      setStats(res.data);
+    } catch (err) {
+      console.error("Failed to update follow:", err);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <span className="inline-flex items-center space-x-2">
+      <button
+        onClick={handleClick}
+        disabled={pending}
+        className={`inline-flex items-center space-x-1 px-3 py-1 rounded-full text-sm font-medium transition-colors disabled:opacity-50 ${
+          stats.isFollowing
+            ? "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            : "bg-indigo-600 text-white hover:bg-indigo-700"
+        }`}
+      >
+        {stats.isFollowing ? <UserCheck className="h-4 w-4" /> : <UserPlus className="h-4 w-4" />}
+        <span>{stats.isFollowing ? "Following" : "Follow"}</span>
+      </button>
+      <span className="text-sm opacity-70">{stats.followersCount} followers</span>
+    </span>
+  );
+};
+
+export default FollowButton;
@@ -0,0 +1,128 @@
+import { useEffect, useState } from "react";
+import { getMyMedia, uploadMedia, deleteMedia, API_ORIGIN } from "../api/apiInstance";
+import { Image, Trash2, Upload, X } from "lucide-react";
+
+// "My media" picker: upload new images, reuse old ones or delete them.
+// onSelect gets the whole media document, callers build the URL they need.
+const MediaLibrary = ({ onSelect, onClose }) => {
+  const [media, setMedia] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchMedia = async () => {
+      setLoading(true);
+      try {
+        const res = await getMyMedia({ page });
+        // "Load more" appends the next page
+        setMedia((prev) => (page === 1 ? res.data.media : [...prev, ...res.data.media]));
+        setTotalPages(res.data.totalPages || 1);
+      } catch (err) {
+        setError(err.message || "Failed to load media");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMedia();
+  }, [page]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setUploading(true);
+    setError("");
+    try {
+      const res = await uploadMedia(file);
+      setMedia((prev) => [res.data, ...prev]);
+    } catch (err) {
+      setError(err.message || "Upload failed");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm("Delete this image? Posts that use it will show a broken image.")) return;
+    setError("");
+    try {
+      await deleteMedia(item._id);
+      setMedia((prev) => prev.filter((m) => m._id !== item._id));
+    } catch (err) {
+      setError(err.message || "Failed to delete");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
+      <div className="bg-white text-gray-900 rounded-2xl shadow-xl w-full max-w-3xl max-h-[80vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center">
+            <Image className="h-5 w-5 mr-2 text-indigo-600" />
+            My media
+          </h2>
+          <div className="flex items-center space-x-4">
+            <label className="cursor-pointer bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-indigo-700 flex items-center space-x-1">
+              <Upload className="h-4 w-4" />
+              <span>{uploading ? "Uploading..." : "Upload"}</span>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/gif,image/webp"
+                onChange={handleUpload}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+            <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-red-600 px-6 pt-4">{error}</p>}
+
+        <div className="p-6 overflow-y-auto">
+          {media.length === 0 && !loading ? (
+            <p className="text-gray-500 text-center">You have not uploaded any images yet.</p>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+              {media.map((item) => (
+                <div key={item._id} className="relative group border rounded-lg overflow-hidden">
+                  <button
+                    type="button"
+                    onClick={() => onSelect(item)}
+                    className="block w-full"
+                    title={item.originalName}
+                  >
+                    <img src={`${API_ORIGIN}${item.url}`} alt={item.originalName} className="w-full h-28 object-cover" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(item)}
+                    className="absolute top-1 right-1 bg-white/90 rounded-full p-1 text-gray-600 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {loading && <p className="text-gray-500 text-center mt-4">Loading...</p>}
+          {!loading && page < totalPages && (
+            <div className="text-center mt-4">
+              <button type="button" onClick={() => setPage((p) => p + 1)} className="text-indigo-600 hover:underline">
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MediaLibrary;
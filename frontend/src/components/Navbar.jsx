@@ -33,9 +33,20 @@ const Navbar = () => {
                 <Link to="/blogs" className="text-gray-600 hover:text-indigo-600 transition-colors">
                   Blogs
                 </Link>
+                <Link to="/reading-lists" className="text-gray-600 hover:text-indigo-600 transition-colors">
+                  Reading Lists
+                </Link>
                 <Link to="/compose" className="text-gray-600 hover:text-indigo-600 transition-colors">
                   Write
                 </Link>
+                <Link to="/settings" className="text-gray-600 hover:text-indigo-600 transition-colors">
+                  Settings
+                </Link>
+                {(user.role === 'moderator' || user.role === 'admin') && (
+                  <Link to="/admin" className="text-gray-600 hover:text-indigo-600 transition-colors">
+                    Admin
+                  </Link>
+                )}
                 <div className="flex items-center space-x-4">
                   <span className="text-gray-700 font-medium">Hello, {user.username}!</span>
                   <button
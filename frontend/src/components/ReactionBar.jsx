@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { toggleReaction } from "../api/apiInstance";
+
+const reactionEmojis = {
+  like: "👍",
+  love: "❤️",
+  laugh: "😂",
+  wow: "😮",
+  sad: "😢",
+};
+
+// compact shows only the reactions that have been used, for the feed cards
+const ReactionBar = ({ blogId, reactionCounts = {}, myReactions = [], compact = false }) => {
+  const [counts, setCounts] = useState(reactionCounts);
+  const [mine, setMine] = useState(myReactions);
+  const [pending, setPending] = useState("");
+
+  const handleToggle = async (type) => {
+    setPending(type);
+    try {
+      const res = await toggleReaction(blogId, type);
+      setCounts(res.data.reactionCounts);
+      setMine((prev) =>
+        res.data.reacted ? [...new Set([...prev, type])] : prev.filter((t) => t !== type)
+      );
+    } catch (err) {
+      console.error("Failed to react:", err);
+    } finally {
+      setPending("");
+    }
+  };
+
+  const types = Object.keys(reactionEmojis).filter(
+    (type) => !compact || counts[type] > 0 || mine.includes(type)
+  );
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {types.map((type) => (
+        <button
+          key={type}
+          type="button"
+          title={type}
+          onClick={() => handleToggle(type)}
+          disabled={pending === type}
+          className={`flex items-center space-x-1 px-3 py-1 rounded-full border text-sm transition-colors ${
+            mine.includes(type)
+              ? "bg-indigo-100 border-indigo-300 text-indigo-700"
+              : "bg-white border-gray-200 text-gray-600 hover:bg-gray-50"
+          }`}
+        >
+          <span>{reactionEmojis[type]}</span>
+          <span>{counts[type] || 0}</span>
+        </button>
+      ))}
+      {compact && types.length === 0 && (
+        <button
+          type="button"
+          onClick={() => handleToggle("like")}
+          className="px-3 py-1 rounded-full border border-gray-200 text-sm text-gray-600 hover:bg-gray-50"
+        >
+          {reactionEmojis.like} 0
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { reportBlog } from "../api/apiInstance";
+import { Flag } from "lucide-react";
+
+const REASONS = [
+  { value: "spam", label: "Spam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "sexual", label: "Sexual content" },
+  { value: "violence", label: "Violence" },
+  { value: "misinformation", label: "Misinformation" },
+  { value: "other", label: "Something else" },
+];
+
+// Flag icon with a small form to report the post to the moderators.
+// Not shown to logged-out readers or on the reader's own posts.
+const ReportButton = ({ blogId, authorId }) => {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ reason: "spam", note: "" });
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [sending, setSending] = useState(false);
+
+  if (!user || user._id === authorId) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError("");
+    try {
+      const res = await reportBlog(blogId, form);
+      setMessage(res.message);
+    } catch (err) {
+      setError(err.message || "Failed to send the report");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        title="Report this post"
+        className="flex items-center text-gray-400 hover:text-red-600"
+      >
+        <Flag className="h-5 w-5" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-72 bg-white text-gray-900 rounded-lg shadow-lg border border-gray-200 p-4">
+          <p className="text-sm font-semibold mb-2">Report this post</p>
+          {message ? (
+            <p className="text-sm text-green-700">{message}</p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-2">
+              {error && <p className="text-xs text-red-600">{error}</p>}
+              <select
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {REASONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <textarea
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                maxLength={1000}
+                rows={3}
+                placeholder="Anything the moderators should know? (optional)"
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              />
+              <button
+                type="submit"
+                disabled={sending}
+                className="w-full bg-red-600 text-white py-1 rounded text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {sending ? "Sending..." : "Send report"}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportButton;
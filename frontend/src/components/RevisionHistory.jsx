@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import { getRevisions, diffRevisions, restoreRevision } from "../api/apiInstance";
+import { History, RotateCcw, X } from "lucide-react";
+
+const fieldLabels = {
+  title: "Title",
+  description: "Description",
+  content: "Content",
+  theme: "Theme",
+};
+
+const chunkStyles = {
+  equal: "",
+  insert: "bg-green-100 text-green-800",
+  delete: "bg-red-100 text-red-800 line-through",
+};
+
+const RevisionHistory = ({ blogId, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState("");
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await getRevisions(blogId);
+        const list = res.data?.revisions || [];
+        setRevisions(list);
+        // compare the latest save with the one before it by default
+        if (list.length > 1) {
+          setFrom(list[1]._id);
+          setTo(list[0]._id);
+        }
+      } catch (err) {
+        setError(err.message || "Failed to load revisions");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRevisions();
+  }, [blogId]);
+
+  useEffect(() => {
+    if (!from || !to) return;
+
+    const fetchDiff = async () => {
+      try {
+        const res = await diffRevisions(blogId, { from, to });
+        setDiff(res.data?.diff || null);
+      } catch (err) {
+        setError(err.message || "Failed to compare revisions");
+      }
+    };
+    fetchDiff();
+  }, [blogId, from, to]);
+
+  const handleRestore = async (revisionId) => {
+    if (!window.confirm("Restore this revision as the current version?")) return;
+
+    setRestoring(revisionId);
+    try {
+      const res = await restoreRevision(blogId, revisionId);
+      onRestored(res.data);
+    } catch (err) {
+      setError(err.message || "Failed to restore revision");
+    } finally {
+      setRestoring("");
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  return (
+    <div className="bg-white text-gray-900 rounded-2xl shadow-lg border border-gray-200 p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold flex items-center">
+          <History className="h-5 w-5 mr-2 text-indigo-600" />
+          Revision History
+        </h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-gray-500">No revisions yet.</p>
+      ) : (
+        <>
+          <ul className="divide-y border rounded-lg mb-6">
+            {revisions.map((revision, index) => (
+              <li key={revision._id} className="flex justify-between items-center px-4 py-3 text-sm">
+                <div>
+                  <p className="font-medium">{revision.title}</p>
+                  <p className="text-gray-500">
+                    {formatDate(revision.createdAt)} by {revision.author?.username || "Unknown"}
+                    {index === 0 && <span className="ml-2 text-indigo-600 font-semibold">Current</span>}
+                  </p>
+                </div>
+                {index > 0 && (
+                  <button
+                    onClick={() => handleRestore(revision._id)}
+                    disabled={restoring === revision._id}
+                    className="flex items-center space-x-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    <span>Restore</span>
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {revisions.length > 1 && (
+            <>
+              <div className="flex flex-col sm:flex-row gap-4 mb-4">
+                {[["Compare", from, setFrom], ["With", to, setTo]].map(([label, value, setValue]) => (
+                  <label key={label} className="flex items-center space-x-2 text-sm">
+                    <span className="font-medium">{label}</span>
+                    <select
+                      value={value}
+                      onChange={(e) => setValue(e.target.value)}
+                      className="border border-gray-300 rounded-lg px-3 py-2"
+                    >
+                      {revisions.map((revision) => (
+                        <option key={revision._id} value={revision._id}>
+                          {formatDate(revision.createdAt)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {diff &&
+                Object.entries(fieldLabels).map(([field, label]) => (
+                  <div key={field} className="mb-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-1">{label}</h3>
+                    <div className="whitespace-pre-wrap text-sm bg-gray-50 rounded-lg p-3">
+                      {diff[field].map((chunk, i) => (
+                        <span key={i} className={chunkStyles[chunk.type]}>
+                          {chunk.value}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
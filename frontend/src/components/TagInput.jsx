@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { Tag, X } from "lucide-react";
+
+const MAX_TAGS = 10;
+
+// same rules as the backend: lowercase, no leading #, spaces become dashes
+const normalizeTag = (value) =>
+  value.trim().toLowerCase().replace(/^#+/, "").replace(/\s+/g, "-").slice(0, 30);
+
+const TagInput = ({ tags, onChange, className = "" }) => {
+  const [input, setInput] = useState("");
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      onChange([...tags, tag]);
+    }
+    setInput("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === "Backspace" && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 px-4 py-3 border rounded-lg ${className}`}>
+      <Tag className="h-4 w-4 text-gray-500" />
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="flex items-center bg-indigo-100 text-indigo-700 text-sm px-2 py-1 rounded-full"
+        >
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            className="ml-1 hover:text-indigo-900"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      {tags.length < MAX_TAGS && (
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input && addTag(input)}
+          placeholder={tags.length ? "" : "Add tags (press Enter)..."}
+          className="flex-grow bg-transparent focus:outline-none placeholder-gray-500"
+        />
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,22 @@
+import { Link } from "react-router-dom";
+
+// small #tag chips linking to the tag listing page
+const TagList = ({ tags, className = "" }) => {
+  if (!Array.isArray(tags) || tags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {tags.map((tag) => (
+        <Link
+          key={tag}
+          to={`/tags/${encodeURIComponent(tag)}`}
+          className="text-xs bg-indigo-50 text-indigo-700 px-2 py-1 rounded-full hover:bg-indigo-100"
+        >
+          #{tag}
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default TagList;
@@ -0,0 +1,42 @@
+import { useState } from "react";
+import { resendVerificationEmail } from "../api/apiInstance";
+import { MailWarning } from "lucide-react";
+
+// shown until the address from signup is verified, drafts work but publishing does not
+const VerifyEmailBanner = ({ email }) => {
+  const [status, setStatus] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await resendVerificationEmail();
+      setStatus("Sent! Check your inbox.");
+    } catch (err) {
+      setStatus(err.message || "Failed to send the email");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-2xl p-4 mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+      <p className="text-yellow-800 flex items-center">
+        <MailWarning className="h-5 w-5 mr-2 flex-shrink-0" />
+        Please verify {email} to publish your posts. You can still write and save drafts.
+      </p>
+      <div className="flex items-center space-x-3">
+        {status && <span className="text-sm text-yellow-800">{status}</span>}
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="text-sm font-semibold text-yellow-900 hover:underline disabled:opacity-50"
+        >
+          Resend email
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,7 +1,7 @@
 /* eslint-disable react-refresh/only-export-components */
 import { createContext, useContext, useState, useEffect } from 'react';
-import axios from 'axios';
 import {useNavigate} from 'react-router-dom';
+import { getCurrentUser, logoutUser, setSessionExpiredHandler } from '../api/apiInstance';
 
 const AuthContext = createContext();
 
@@ -18,6 +18,13 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
 
+  const clearSession = () => {
+    setUser(null);
+    localStorage.removeItem('jotly_user');
+  };
+
+  // The stored user is only a cached copy, the server decides whether the login is still
+  // valid (refreshing the access token if needed). Protected pages wait for the answer.
   useEffect(() => {
     try {
       const savedUser = localStorage.getItem('jotly_user');
@@ -27,9 +34,25 @@ export const AuthProvider = ({ children }) => {
     } catch (err) {
       console.error('Failed to parse user from localStorage:', err);
       localStorage.removeItem('jotly_user'); // Clear bad data
-    } finally {
-      setLoading(false);
     }
+
+    getCurrentUser()
+      .then((res) => {
+        setUser(res.data);
+        localStorage.setItem('jotly_user', JSON.stringify(res.data));
+      })
+      .catch((err) => {
+        // without an answer (offline, server down) keep the stored user for now
+        if (err?.statusCode === 401) {
+          clearSession();
+        }
+      })
+      .finally(() => setLoading(false));
+
+    // a failed token refresh anywhere in the app ends the login,
+    // ProtectedRoute then sends the user to the login page
+    setSessionExpiredHandler(clearSession);
+    return () => setSessionExpiredHandler(() => {});
   }, []);
 
   const login = (userData) => {
@@ -37,21 +60,30 @@ export const AuthProvider = ({ children }) => {
     localStorage.setItem('jotly_user', JSON.stringify(userData));
   };
 
+  // after profile or email changes, keep the stored copy in sync
+  const updateUser = (changes) => {
+    setUser((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem('jotly_user', JSON.stringify(next));
+      return next;
+    });
+  };
+
   const logout = async () => {
-  try {
-    await axios.post('/api/v1/users/logout', {}, { withCredentials: true });
-  } catch (err) {
-    console.error('Logout failed:', err);
-  } finally {
-    setUser(null);
-    localStorage.removeItem('jotly_user');
-    navigate('/login'); // Redirect to login page
-  }
-};
+    try {
+      await logoutUser();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    } finally {
+      clearSession();
+      navigate('/login'); // Redirect to login page
+    }
+  };
 
   const value = {
     user,
     login,
+    updateUser,
     logout,
     loading,
     isAuthenticated: !!user
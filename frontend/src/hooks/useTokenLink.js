@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from "react";
+
+// Sends the token of an emailed link (verify email, confirm email change) to the server.
+// The token only works once: when StrictMode runs the effect again, the request already
+// sent is reused instead of a second one that would fail.
+// Returns { loading: true }, then { response } or { error }.
+export const useTokenLink = (token, send) => {
+  const [status, setStatus] = useState({ loading: true });
+  const request = useRef(null);
+
+  useEffect(() => {
+    if (!token) {
+      setStatus({ error: "This link is missing its token" });
+      return;
+    }
+    if (request.current?.token !== token) {
+      request.current = { token, promise: send(token) };
+    }
+    let cancelled = false;
+    request.current.promise
+      .then((response) => {
+        if (!cancelled) setStatus({ response });
+      })
+      .catch((err) => {
+        if (!cancelled) setStatus({ error: err.message || "This link is invalid or has expired" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, send]);
+
+  return status;
+};
@@ -0,0 +1,409 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import {
+  adminListUsers,
+  adminSuspendUser,
+  adminUnsuspendUser,
+  adminChangeRole,
+  adminListBlogs,
+  adminUnpublishBlog,
+  adminDeleteBlog,
+  adminGetReportQueue,
+  adminGetBlogReports,
+  adminResolveReports,
+  adminGetModerationLog,
+} from "../api/apiInstance";
+import { blogPath, authorPath } from "../utils/blogPath";
+import { Shield, Search } from "lucide-react";
+
+const TABS = [
+  { id: "users", label: "Users" },
+  { id: "reports", label: "Reports" },
+  { id: "blogs", label: "Posts" },
+  { id: "log", label: "Log" },
+];
+
+const ACTION_LABELS = {
+  suspend: "suspended",
+  unsuspend: "unsuspended",
+  change_role: "changed the role of",
+  unpublish_post: "unpublished",
+  delete_post: "deleted",
+  dismiss_reports: "dismissed the reports on",
+  warn_user: "warned the author of",
+};
+
+const REPORT_DECISIONS = {
+  dismiss: "Dismiss the reports and show the post again?",
+  hide: "Hide the post? The author will not be able to publish it again.",
+  warn: "Keep the post online and send its author a warning? The reason is emailed to them.",
+};
+
+// every moderation action needs a reason, null means the moderator cancelled
+const askReason = (question) => {
+  const reason = window.prompt(`${question}\n\nReason (required, shown in the moderation log):`);
+  return reason?.trim() || null;
+};
+
+const Pager = ({ page, totalPages, onChange }) =>
+  totalPages > 1 && (
+    <div className="flex justify-center items-center space-x-4 mt-6 text-sm">
+      <button disabled={page <= 1} onClick={() => onChange(page - 1)} className="px-3 py-1 border rounded-lg disabled:opacity-50">
+        Previous
+      </button>
+      <span className="text-gray-600">Page {page} of {totalPages}</span>
+      <button disabled={page >= totalPages} onClick={() => onChange(page + 1)} className="px-3 py-1 border rounded-lg disabled:opacity-50">
+        Next
+      </button>
+    </div>
+  );
+
+const Admin = () => {
+  const { user } = useAuth();
+  const [tab, setTab] = useState("users");
+  const [filters, setFilters] = useState({ q: "", role: "", suspended: "", status: "" });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ items: [], totalPages: 1 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [openReports, setOpenReports] = useState(null);
+
+  const isStaff = user?.role === "moderator" || user?.role === "admin";
+
+  const fetchTab = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      if (tab === "users") {
+        const res = await adminListUsers({ q: filters.q, role: filters.role, suspended: filters.suspended, page });
+        setResult({ items: res.data.users, totalPages: res.data.totalPages });
+      } else if (tab === "reports") {
+        const res = await adminGetReportQueue({ page });
+        setResult({ items: res.data.queue, totalPages: res.data.totalPages });
+      } else if (tab === "blogs") {
+        const res = await adminListBlogs({ q: filters.q, status: filters.status, page });
+        setResult({ items: res.data.blogs, totalPages: res.data.totalPages });
+      } else {
+        const res = await adminGetModerationLog({ page });
+        setResult({ items: res.data.actions, totalPages: res.data.totalPages });
+      }
+    } catch (err) {
+      setError(err.message || "Failed to load");
+      setResult({ items: [], totalPages: 1 });
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, filters, page]);
+
+  useEffect(() => {
+    if (isStaff) fetchTab();
+  }, [isStaff, fetchTab]);
+
+  if (!isStaff) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-16 text-center text-gray-600">
+        You do not have access to the moderation console.
+      </div>
+    );
+  }
+
+  // run an action, then reload the current tab
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      await fetchTab();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    }
+  };
+
+  const switchTab = (id) => {
+    setTab(id);
+    setPage(1);
+    setOpenReports(null);
+    setFilters({ q: "", role: "", suspended: "", status: "" });
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSuspend = (target) => {
+    const reason = askReason(`Suspend ${target.username}? They will be logged out and unable to sign in.`);
+    if (reason) run(() => adminSuspendUser(target._id, reason));
+  };
+
+  const handleUnsuspend = (target) => {
+    const reason = askReason(`Lift the suspension of ${target.username}?`);
+    if (reason) run(() => adminUnsuspendUser(target._id, reason));
+  };
+
+  const handleRole = (target, role) => {
+    const reason = askReason(`Make ${target.username} ${role === "user" ? "a regular user" : `a ${role}`}?`);
+    if (reason) run(() => adminChangeRole(target._id, role, reason));
+  };
+
+  const handleUnpublish = (blog) => {
+    const reason = askReason(`Unpublish "${blog.title}"? The author will not be able to publish it again.`);
+    if (reason) run(() => adminUnpublishBlog(blog._id, reason));
+  };
+
+  const handleDelete = (blog) => {
+    const reason = askReason(`Permanently delete "${blog.title}"?`);
+    if (reason) run(() => adminDeleteBlog(blog._id, reason));
+  };
+
+  const handleShowReports = (blogId) => {
+    if (openReports?.blogId === blogId) {
+      setOpenReports(null);
+      return;
+    }
+    run(async () => {
+      const res = await adminGetBlogReports(blogId);
+      setOpenReports({ blogId, reports: res.data });
+    });
+  };
+
+  const handleResolve = (blog, decision) => {
+    const reason = askReason(`"${blog.title}": ${REPORT_DECISIONS[decision]}`);
+    if (reason) run(() => adminResolveReports(blog._id, decision, reason));
+  };
+
+  const canActOn = (target) =>
+    target._id !== user._id && (user.role === "admin" || target.role === "user");
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6 flex items-center">
+          <Shield className="h-8 w-8 text-indigo-600 mr-2" />
+          Moderation
+        </h1>
+
+        <div className="flex space-x-2 mb-6">
+          {TABS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => switchTab(id)}
+              className={`px-4 py-2 rounded-lg font-medium ${tab === id ? "bg-indigo-600 text-white" : "bg-white text-gray-700 hover:bg-gray-100"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {(tab === "users" || tab === "blogs") && (
+          <div className="bg-white rounded-2xl shadow-sm p-4 mb-6 flex flex-col sm:flex-row gap-4">
+            <div className="relative flex-grow">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-3" />
+              <input
+                type="text"
+                value={filters.q}
+                onChange={(e) => updateFilter("q", e.target.value)}
+                placeholder={tab === "users" ? "Search username or email..." : "Search titles..."}
+                className="w-full border border-gray-300 pl-9 pr-4 py-2 rounded-lg"
+              />
+            </div>
+            {tab === "users" ? (
+              <>
+                <select value={filters.role} onChange={(e) => updateFilter("role", e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2">
+                  <option value="">All roles</option>
+                  <option value="user">Users</option>
+                  <option value="moderator">Moderators</option>
+                  <option value="admin">Admins</option>
+                </select>
+                <select value={filters.suspended} onChange={(e) => updateFilter("suspended", e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2">
+                  <option value="">Any status</option>
+                  <option value="true">Suspended</option>
+                  <option value="false">Active</option>
+                </select>
+              </>
+            ) : (
+              <select value={filters.status} onChange={(e) => updateFilter("status", e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2">
+                <option value="">All statuses</option>
+                <option value="published">Published</option>
+                <option value="draft">Drafts</option>
+                <option value="archived">Archived</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center">Loading...</div>
+        ) : result.items.length === 0 ? (
+          <div className="text-center p-8 bg-white rounded-lg shadow-sm text-gray-500">Nothing to show.</div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-sm divide-y">
+            {tab === "users" &&
+              result.items.map((target) => (
+                <div key={target._id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div>
+                    <Link to={authorPath(target)} className="font-semibold text-gray-900 hover:text-indigo-700">
+                      {target.username}
+                    </Link>
+                    <span className="ml-2 text-xs uppercase tracking-wide text-gray-500">{target.role}</span>
+                    <p className="text-sm text-gray-500">
+                      {target.email}
+                      {target.emailVerified === false && " (unverified)"}
+                    </p>
+                    {target.suspendedAt && (
+                      <p className="text-sm text-red-600">
+                        Suspended {new Date(target.suspendedAt).toLocaleDateString()}: {target.suspensionReason}
+                      </p>
+                    )}
+                  </div>
+                  {canActOn(target) && (
+                    <div className="flex items-center space-x-3 text-sm">
+                      {user.role === "admin" && (
+                        <select
+                          value={target.role}
+                          onChange={(e) => handleRole(target, e.target.value)}
+                          className="border border-gray-300 rounded-lg px-2 py-1"
+                        >
+                          <option value="user">User</option>
+                          <option value="moderator">Moderator</option>
+                          <option value="admin">Admin</option>
+                        </select>
+                      )}
+                      {target.suspendedAt ? (
+                        <button onClick={() => handleUnsuspend(target)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                          Unsuspend
+                        </button>
+                      ) : (
+                        <button onClick={() => handleSuspend(target)} className="text-red-600 hover:text-red-800 font-medium">
+                          Suspend
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+
+            {tab === "reports" &&
+              result.items.map(({ blog, reportCount, reasons, lastReportedAt }) => (
+                <div key={blog._id} className="p-4">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                    <div>
+                      {blog.status === "published" ? (
+                        <Link to={blogPath(blog)} className="font-semibold text-gray-900 hover:text-indigo-700">
+                          {blog.title}
+                        </Link>
+                      ) : (
+                        <span className="font-semibold text-gray-900">{blog.title || "Deleted post"}</span>
+                      )}
+                      {blog.hiddenForReviewAt && (
+                        <span className="ml-2 text-xs uppercase tracking-wide text-orange-600">Hidden pending review</span>
+                      )}
+                      <p className="text-sm text-gray-500">
+                        By {blog.author?.username || "Unknown"} · {reportCount} report{reportCount === 1 ? "" : "s"}, last{" "}
+                        {new Date(lastReportedAt).toLocaleDateString()}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {Object.entries(reasons)
+                          .map(([reason, count]) => `${reason} × ${count}`)
+                          .join(", ")}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-3 text-sm">
+                      <button onClick={() => handleShowReports(blog._id)} className="text-gray-600 hover:text-gray-900 font-medium">
+                        {openReports?.blogId === blog._id ? "Hide details" : "Details"}
+                      </button>
+                      <button onClick={() => handleResolve(blog, "dismiss")} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                        Dismiss
+                      </button>
+                      <button onClick={() => handleResolve(blog, "warn")} className="text-orange-600 hover:text-orange-800 font-medium">
+                        Warn author
+                      </button>
+                      <button onClick={() => handleResolve(blog, "hide")} className="text-red-600 hover:text-red-800 font-medium">
+                        Hide post
+                      </button>
+                    </div>
+                  </div>
+                  {openReports?.blogId === blog._id && (
+                    <ul className="mt-3 space-y-2">
+                      {openReports.reports.map((report) => (
+                        <li key={report._id} className="bg-gray-50 rounded-lg px-4 py-2 text-sm">
+                          <p>
+                            <span className="font-medium">{report.reporter?.username || "Deleted user"}</span>: {report.reason}
+                            <span className="ml-2 text-xs text-gray-400">
+                              {report.status} · {new Date(report.createdAt).toLocaleString()}
+                            </span>
+                          </p>
+                          {report.note && <p className="text-gray-600">{report.note}</p>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+
+            {tab === "blogs" &&
+              result.items.map((blog) => (
+                <div key={blog._id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div>
+                    {blog.status === "published" ? (
+                      <Link to={blogPath(blog)} className="font-semibold text-gray-900 hover:text-indigo-700">
+                        {blog.title}
+                      </Link>
+                    ) : (
+                      <span className="font-semibold text-gray-900">{blog.title}</span>
+                    )}
+                    <span className="ml-2 text-xs uppercase tracking-wide text-gray-500">{blog.status}</span>
+                    <p className="text-sm text-gray-500">
+                      By {blog.author?.username || "Unknown"} · {new Date(blog.createdAt).toLocaleDateString()}
+                    </p>
+                    {blog.takedown?.at && (
+                      <p className="text-sm text-red-600">Taken down: {blog.takedown.reason}</p>
+                    )}
+                    {blog.hiddenForReviewAt && (
+                      <p className="text-sm text-orange-600">Hidden pending review of reader reports</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3 text-sm">
+                    {!blog.takedown?.at && (
+                      <button onClick={() => handleUnpublish(blog)} className="text-orange-600 hover:text-orange-800 font-medium">
+                        Unpublish
+                      </button>
+                    )}
+                    <button onClick={() => handleDelete(blog)} className="text-red-600 hover:text-red-800 font-medium">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+            {tab === "log" &&
+              result.items.map((action) => (
+                <div key={action._id} className="p-4">
+                  <p className="text-gray-900">
+                    <span className="font-semibold">{action.moderator?.username || "Unknown"}</span>{" "}
+                    {ACTION_LABELS[action.action] || action.action}{" "}
+                    <span className="font-semibold">
+                      {action.targetTitle ? `"${action.targetTitle}"` : action.targetUser?.username || "a deleted user"}
+                    </span>
+                    {action.action === "change_role" && action.details && ` (${action.details.from} → ${action.details.to})`}
+                  </p>
+                  <p className="text-sm text-gray-600">Reason: {action.reason}</p>
+                  <p className="text-xs text-gray-400">{new Date(action.createdAt).toLocaleString()}</p>
+                </div>
+              ))}
+          </div>
+        )}
+
+        <Pager page={page} totalPages={result.totalPages} onChange={setPage} />
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
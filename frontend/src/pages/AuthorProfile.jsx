@@ -0,0 +1,178 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { getUserProfile, getUserPosts, API_ORIGIN } from "../api/apiInstance";
+import TagList from "../components/TagList";
+import CoverImage from "../components/CoverImage";
+import FollowButton from "../components/FollowButton";
+import { blogPath } from "../utils/blogPath";
+import { assetUrl } from "../utils/assetUrl";
+import { Calendar, FileText, Link2, Rss, Share2, User } from "lucide-react";
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [blogs, setBlogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    setPage(1);
+    setProfile(null);
+    setError("");
+    getUserProfile(username)
+      .then((res) => setProfile(res.data))
+      .catch((err) => setError(err.message || "Failed to load profile"));
+  }, [username]);
+
+  useEffect(() => {
+    const fetchPosts = async () => {
+      setLoading(true);
+      try {
+        const res = await getUserPosts(username, { page, limit: 9 });
+        setBlogs(res.data?.blogs || []);
+        setTotalPages(res.data?.totalPages || 1);
+      } catch {
+        setBlogs([]);
+        setTotalPages(1);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPosts();
+  }, [username, page]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return "Date not available";
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  };
+
+  if (error) {
+    return <div className="min-h-screen flex items-center justify-center text-red-600">{error}</div>;
+  }
+
+  if (!profile) {
+    return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
+  }
+
+  const name = profile.displayName || profile.username;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-2xl shadow-sm p-8 mb-8 flex flex-col md:flex-row gap-6 items-start">
+          {profile.avatar ? (
+            <img src={assetUrl(profile.avatar)} alt={name} className="h-24 w-24 rounded-full object-cover" />
+          ) : (
+            <div className="h-24 w-24 rounded-full bg-indigo-100 flex items-center justify-center">
+              <User className="h-12 w-12 text-indigo-600" />
+            </div>
+          )}
+          <div className="flex-grow">
+            <h1 className="text-3xl font-bold text-gray-900">{name}</h1>
+            <p className="text-gray-500">@{profile.username}</p>
+            {profile.bio && <p className="text-gray-700 mt-4 whitespace-pre-line">{profile.bio}</p>}
+            {profile.links?.length > 0 && (
+              <div className="flex flex-wrap gap-4 mt-4">
+                {profile.links.map((link) => (
+                  <a
+                    key={link.url}
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer nofollow"
+                    className="inline-flex items-center text-sm text-indigo-600 hover:underline"
+                  >
+                    <Link2 className="h-4 w-4 mr-1" />
+                    {link.label || link.url}
+                  </a>
+                ))}
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-6 mt-6 text-sm text-gray-600">
+              <span className="inline-flex items-center">
+                <FileText className="h-4 w-4 mr-1" />
+                {profile.postCount} post{profile.postCount === 1 ? "" : "s"}
+              </span>
+              <span className="inline-flex items-center">
+                <Share2 className="h-4 w-4 mr-1" />
+                {profile.totalShares} share{profile.totalShares === 1 ? "" : "s"}
+              </span>
+              <span className="inline-flex items-center">
+                <Calendar className="h-4 w-4 mr-1" />
+                Joined {formatDate(profile.createdAt)}
+              </span>
+              <a
+                href={`${API_ORIGIN}/feeds/authors/${encodeURIComponent(profile.username)}/posts.rss`}
+                className="inline-flex items-center text-orange-600 hover:underline"
+              >
+                <Rss className="h-4 w-4 mr-1" />
+                RSS
+              </a>
+            </div>
+          </div>
+          <FollowButton userId={profile._id} />
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : blogs.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {blogs.map((blog) => (
+              <div key={blog._id} className="bg-white rounded-2xl shadow-sm flex flex-col">
+                <CoverImage cover={blog.cover} thumbnail className="w-full h-44 rounded-t-2xl" />
+                <div className="p-6 flex flex-col flex-grow">
+                  <p className="text-sm text-indigo-600 font-semibold uppercase">{blog.theme}</p>
+                  <h3 className="text-xl font-bold text-gray-900 mt-2 mb-3 leading-tight">
+                    <Link to={blogPath(blog)} className="hover:text-indigo-700">{blog.title}</Link>
+                  </h3>
+                  <p className="text-gray-600 text-sm line-clamp-3">{blog.description}</p>
+                  <TagList tags={blog.tags} className="mt-4" />
+                  <div className="flex items-center text-sm text-gray-500 mt-auto border-t pt-4">
+                    <Calendar className="h-4 w-4 mr-2" />
+                    <span>{formatDate(blog.publishedAt || blog.createdAt)}</span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center p-8 bg-white rounded-lg shadow-sm">
+            <h3 className="text-xl font-semibold text-gray-700">No Blogs Yet</h3>
+            <p className="text-gray-500 mt-2">{name} has not published anything yet.</p>
+          </div>
+        )}
+
+        {totalPages > 1 && !loading && (
+          <div className="flex justify-center items-center mt-12">
+            <button
+              disabled={page === 1}
+              onClick={() => setPage((p) => p - 1)}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-l-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="bg-white border-t border-b border-gray-300 text-indigo-600 px-4 py-2 font-semibold">
+              Page {page} of {totalPages}
+            </span>
+            <button
+              disabled={page === totalPages}
+              onClick={() => setPage((p) => p + 1)}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-r-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorProfile;
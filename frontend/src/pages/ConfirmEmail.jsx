@@ -0,0 +1,44 @@
+import { useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { confirmEmailChange } from "../api/apiInstance";
+import { useTokenLink } from "../hooks/useTokenLink";
+import { Mail } from "lucide-react";
+
+// landing page of the link sent when changing the email address
+const ConfirmEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, updateUser } = useAuth();
+  const status = useTokenLink(token, confirmEmailChange);
+  const email = status.response?.data.email;
+
+  // the stored user still has the old address
+  useEffect(() => {
+    if (email && user && user.email !== email) {
+      updateUser({ email, pendingEmail: undefined });
+    }
+  }, [email, user, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-2xl shadow-sm p-8 max-w-md w-full text-center">
+        <Mail className="h-10 w-10 text-indigo-600 mx-auto mb-4" />
+        {status.loading ? (
+          <p className="text-gray-600">Confirming your email address...</p>
+        ) : status.error ? (
+          <p className="text-red-600">{status.error}</p>
+        ) : (
+          <p className="text-gray-700">
+            Your email address is now <span className="font-medium">{email}</span>.
+          </p>
+        )}
+        <Link to={user ? "/settings" : "/login"} className="inline-block mt-6 text-indigo-600 hover:underline">
+          {user ? "Back to settings" : "Sign in"}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmEmail;
@@ -0,0 +1,216 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  getMyReadingLists,
+  getReadingList,
+  createReadingList,
+  updateReadingList,
+  deleteReadingList,
+  removeFromReadingList,
+} from "../api/apiInstance";
+import { blogPath } from "../utils/blogPath";
+import { BookMarked, Plus, Trash2, Edit, Lock, Globe, X } from "lucide-react";
+
+const ReadingLists = () => {
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [newList, setNewList] = useState({ name: "", visibility: "private" });
+  const [openList, setOpenList] = useState(null);
+  const [renaming, setRenaming] = useState({ id: "", name: "" });
+
+  const fetchLists = async () => {
+    try {
+      const res = await getMyReadingLists();
+      setLists(res.data?.readingLists || []);
+    } catch (err) {
+      setError(err.message || "Failed to load reading lists");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLists();
+  }, []);
+
+  // run an action and report its error in the page banner
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    }
+  };
+
+  const replaceList = (updated) =>
+    setLists((prev) => prev.map((list) => (list._id === updated._id ? updated : list)));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newList.name.trim()) return;
+    run(async () => {
+      const res = await createReadingList(newList);
+      setLists((prev) => [...prev, res.data]);
+      setNewList({ name: "", visibility: "private" });
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await updateReadingList(renaming.id, { name: renaming.name });
+      replaceList(res.data);
+      setRenaming({ id: "", name: "" });
+    });
+  };
+
+  const handleVisibility = (list) =>
+    run(async () => {
+      const res = await updateReadingList(list._id, {
+        visibility: list.visibility === "public" ? "private" : "public",
+      });
+      replaceList(res.data);
+    });
+
+  const handleDelete = (list) => {
+    if (!window.confirm(`Delete the reading list "${list.name}"?`)) return;
+    run(async () => {
+      await deleteReadingList(list._id);
+      setLists((prev) => prev.filter((l) => l._id !== list._id));
+      if (openList?._id === list._id) setOpenList(null);
+    });
+  };
+
+  const handleOpen = (list) => {
+    if (openList?._id === list._id) {
+      setOpenList(null);
+      return;
+    }
+    run(async () => {
+      const res = await getReadingList(list._id);
+      setOpenList(res.data);
+    });
+  };
+
+  const handleRemovePost = (blogId) =>
+    run(async () => {
+      const res = await removeFromReadingList(openList._id, blogId);
+      replaceList(res.data);
+      setOpenList((prev) => ({ ...prev, posts: prev.posts.filter((post) => post.blog._id !== blogId) }));
+    });
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-8 flex items-center">
+          <BookMarked className="h-8 w-8 text-indigo-600 mr-2" />
+          Reading Lists
+        </h1>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="bg-white rounded-2xl shadow-sm p-6 mb-8 flex flex-col sm:flex-row gap-4">
+          <input
+            type="text"
+            value={newList.name}
+            onChange={(e) => setNewList({ ...newList, name: e.target.value })}
+            placeholder="New reading list name..."
+            className="flex-grow border border-gray-300 px-4 py-2 rounded-lg"
+          />
+          <select
+            value={newList.visibility}
+            onChange={(e) => setNewList({ ...newList, visibility: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2"
+          >
+            <option value="private">Private</option>
+            <option value="public">Public</option>
+          </select>
+          <button
+            type="submit"
+            className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 flex items-center justify-center space-x-1"
+          >
+            <Plus className="h-5 w-5" />
+            <span>Create</span>
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="text-center">Loading...</div>
+        ) : lists.length === 0 ? (
+          <div className="text-center p-8 bg-white rounded-lg shadow-sm text-gray-500">
+            You have no reading lists yet. Bookmark a post to get started.
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-sm divide-y">
+            {lists.map((list) => (
+              <div key={list._id} className="p-6">
+                <div className="flex justify-between items-center">
+                  {renaming.id === list._id ? (
+                    <form onSubmit={handleRename} className="flex items-center space-x-2 flex-grow mr-4">
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        className="flex-grow border border-gray-300 px-3 py-1 rounded-lg"
+                      />
+                      <button type="submit" className="text-indigo-600 font-medium text-sm">Save</button>
+                      <button type="button" onClick={() => setRenaming({ id: "", name: "" })} className="text-gray-500">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </form>
+                  ) : (
+                    <button onClick={() => handleOpen(list)} className="text-left">
+                      <h2 className="text-lg font-bold text-gray-900 hover:text-indigo-700">{list.name}</h2>
+                      <p className="text-sm text-gray-500">
+                        {list.posts.length} post{list.posts.length === 1 ? "" : "s"}
+                      </p>
+                    </button>
+                  )}
+                  <div className="flex items-center space-x-4 text-gray-500">
+                    <button onClick={() => handleVisibility(list)} title={`Make ${list.visibility === "public" ? "private" : "public"}`} className="hover:text-indigo-600 flex items-center space-x-1 text-sm">
+                      {list.visibility === "public" ? <Globe className="h-4 w-4" /> : <Lock className="h-4 w-4" />}
+                      <span className="capitalize">{list.visibility}</span>
+                    </button>
+                    <button onClick={() => setRenaming({ id: list._id, name: list.name })} className="hover:text-indigo-600">
+                      <Edit className="h-5 w-5" />
+                    </button>
+                    <button onClick={() => handleDelete(list)} className="hover:text-red-600">
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+
+                {openList?._id === list._id && (
+                  <ul className="mt-4 space-y-2">
+                    {openList.posts.length === 0 && <li className="text-sm text-gray-500">This list is empty.</li>}
+                    {openList.posts.map(({ blog }) => (
+                      <li key={blog._id} className="flex justify-between items-center bg-gray-50 rounded-lg px-4 py-2">
+                        <div>
+                          <Link to={blogPath(blog)} className="font-medium text-gray-900 hover:text-indigo-700">
+                            {blog.title}
+                          </Link>
+                          <p className="text-xs text-gray-500">By {blog.author?.username || "Unknown"}</p>
+                        </div>
+                        <button onClick={() => handleRemovePost(blog._id)} className="text-gray-400 hover:text-red-600">
+                          <X className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingLists;
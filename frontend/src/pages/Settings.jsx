@@ -0,0 +1,463 @@
+import { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import {
+  getUserProfile,
+  updateProfile,
+  changePassword,
+  requestEmailChange,
+  deleteAccount,
+  uploadMedia,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../api/apiInstance";
+import { assetUrl } from "../utils/assetUrl";
+import { authorPath } from "../utils/blogPath";
+import { KeyRound, Mail, Monitor, Plus, Settings as SettingsIcon, Trash2, User, X } from "lucide-react";
+
+const MAX_LINKS = 5;
+
+const inputClass =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-indigo-500 focus:border-indigo-500";
+
+// success / error line under each form
+const Status = ({ status }) =>
+  status ? (
+    <p className={`text-sm mt-3 ${status.error ? "text-red-600" : "text-green-600"}`}>{status.text}</p>
+  ) : null;
+
+const ProfileForm = () => {
+  const { user, updateUser } = useAuth();
+  const [form, setForm] = useState({ username: user.username, displayName: "", bio: "", avatar: "", links: [] });
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // only load once, the username in the form may be edited afterwards
+  const initialUsername = useRef(user.username);
+
+  useEffect(() => {
+    getUserProfile(initialUsername.current)
+      .then((res) =>
+        setForm({
+          username: res.data.username,
+          displayName: res.data.displayName || "",
+          bio: res.data.bio || "",
+          avatar: res.data.avatar || "",
+          links: res.data.links || [],
+        })
+      )
+      .catch(() => {});
+  }, []);
+
+  const setField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const setLink = (index, key, value) =>
+    setField("links", form.links.map((link, i) => (i === index ? { ...link, [key]: value } : link)));
+
+  const handleAvatarUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const res = await uploadMedia(file);
+      setField("avatar", res.data.url);
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Upload failed" });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setStatus(null);
+    try {
+      const res = await updateProfile({ ...form, links: form.links.filter((link) => link.url.trim()) });
+      updateUser(res.data);
+      setStatus({ text: "Profile saved" });
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to save profile" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm p-6 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold flex items-center">
+          <User className="h-5 w-5 mr-2 text-indigo-600" />
+          Profile
+        </h2>
+        <Link to={authorPath(user)} className="text-sm text-indigo-600 hover:underline">
+          View public profile
+        </Link>
+      </div>
+
+      <div className="flex items-center space-x-4">
+        {form.avatar ? (
+          <img src={assetUrl(form.avatar)} alt="" className="h-16 w-16 rounded-full object-cover" />
+        ) : (
+          <div className="h-16 w-16 rounded-full bg-indigo-100 flex items-center justify-center">
+            <User className="h-8 w-8 text-indigo-600" />
+          </div>
+        )}
+        <label className="cursor-pointer text-sm text-indigo-600 hover:underline">
+          Upload avatar
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/gif,image/webp"
+            onChange={handleAvatarUpload}
+            className="hidden"
+          />
+        </label>
+        {form.avatar && (
+          <button type="button" onClick={() => setField("avatar", "")} className="text-sm text-gray-500 hover:text-red-600">
+            Remove
+          </button>
+        )}
+      </div>
+
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Username</span>
+        <input value={form.username} onChange={(e) => setField("username", e.target.value)} className={inputClass} />
+        <span className="text-xs text-gray-500">Changing it also changes the links to your posts.</span>
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Display name</span>
+        <input
+          value={form.displayName}
+          onChange={(e) => setField("displayName", e.target.value)}
+          maxLength={50}
+          className={inputClass}
+        />
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Bio</span>
+        <textarea
+          value={form.bio}
+          onChange={(e) => setField("bio", e.target.value)}
+          maxLength={500}
+          rows="3"
+          className={inputClass}
+        />
+      </label>
+
+      <div>
+        <span className="text-sm font-medium text-gray-700">Links</span>
+        <div className="space-y-2 mt-1">
+          {form.links.map((link, index) => (
+            <div key={index} className="flex space-x-2">
+              <input
+                value={link.label || ""}
+                onChange={(e) => setLink(index, "label", e.target.value)}
+                placeholder="Label"
+                className={`${inputClass} w-1/3`}
+              />
+              <input
+                value={link.url}
+                onChange={(e) => setLink(index, "url", e.target.value)}
+                placeholder="https://..."
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => setField("links", form.links.filter((_, i) => i !== index))}
+                className="text-gray-500 hover:text-red-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+        {form.links.length < MAX_LINKS && (
+          <button
+            type="button"
+            onClick={() => setField("links", [...form.links, { label: "", url: "" }])}
+            className="mt-2 text-sm text-indigo-600 hover:underline flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add link
+          </button>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700 disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save profile"}
+      </button>
+      <Status status={status} />
+    </form>
+  );
+};
+
+const EmailForm = () => {
+  const { user, updateUser } = useAuth();
+  const [newEmail, setNewEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [status, setStatus] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    try {
+      const res = await requestEmailChange({ newEmail, password });
+      updateUser({ pendingEmail: res.data.pendingEmail });
+      setNewEmail("");
+      setPassword("");
+      setStatus({ text: `We sent a confirmation link to ${res.data.pendingEmail}` });
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to change email" });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm p-6 space-y-4">
+      <h2 className="text-xl font-semibold flex items-center">
+        <Mail className="h-5 w-5 mr-2 text-indigo-600" />
+        Email
+      </h2>
+      <p className="text-sm text-gray-600">
+        Current address: <span className="font-medium">{user.email}</span>
+        {user.pendingEmail && <> • waiting for confirmation of {user.pendingEmail}</>}
+      </p>
+      <input
+        type="email"
+        value={newEmail}
+        onChange={(e) => setNewEmail(e.target.value)}
+        placeholder="New email address"
+        required
+        className={inputClass}
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Current password"
+        required
+        className={inputClass}
+      />
+      <button type="submit" className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700">
+        Send confirmation link
+      </button>
+      <Status status={status} />
+    </form>
+  );
+};
+
+const PasswordForm = () => {
+  const [form, setForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [status, setStatus] = useState(null);
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    if (form.newPassword !== form.confirmPassword) {
+      setStatus({ error: true, text: "Passwords do not match" });
+      return;
+    }
+    try {
+      await changePassword(form);
+      setForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      setStatus({ text: "Password changed, your other sessions have been logged out" });
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to change password" });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm p-6 space-y-4">
+      <h2 className="text-xl font-semibold flex items-center">
+        <KeyRound className="h-5 w-5 mr-2 text-indigo-600" />
+        Password
+      </h2>
+      <input
+        type="password"
+        name="currentPassword"
+        value={form.currentPassword}
+        onChange={handleChange}
+        placeholder="Current password"
+        required
+        className={inputClass}
+      />
+      <input
+        type="password"
+        name="newPassword"
+        value={form.newPassword}
+        onChange={handleChange}
+        placeholder="New password (at least 8 characters)"
+        minLength={8}
+        required
+        className={inputClass}
+      />
+      <input
+        type="password"
+        name="confirmPassword"
+        value={form.confirmPassword}
+        onChange={handleChange}
+        placeholder="Repeat new password"
+        required
+        className={inputClass}
+      />
+      <button type="submit" className="bg-indigo-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-indigo-700">
+        Change password
+      </button>
+      <Status status={status} />
+    </form>
+  );
+};
+
+// the devices this account is signed in on, each can be signed out on its own
+const SessionList = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await getSessions();
+      setSessions(res.data);
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to load sessions" });
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setStatus(null);
+    try {
+      await revokeSession(session._id);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to sign out the session" });
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setStatus(null);
+    try {
+      const res = await revokeOtherSessions();
+      setSessions((prev) => prev.filter((s) => s.current));
+      setStatus({ text: `Signed out of ${res.data.revoked} other session${res.data.revoked === 1 ? "" : "s"}` });
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to sign out other sessions" });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-6 space-y-4">
+      <h2 className="text-xl font-semibold flex items-center">
+        <Monitor className="h-5 w-5 mr-2 text-indigo-600" />
+        Sessions
+      </h2>
+      {sessions === null ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <ul className="divide-y">
+          {sessions.map((session) => (
+            <li key={session._id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {session.device}
+                  {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip} • signed in {new Date(session.createdAt).toLocaleDateString()} • last active{" "}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button onClick={() => handleRevoke(session)} className="text-sm text-red-600 hover:text-red-800 font-medium">
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {sessions?.some((session) => !session.current) && (
+        <button onClick={handleRevokeOthers} className="text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+          Sign out of all other sessions
+        </button>
+      )}
+      <Status status={status} />
+    </div>
+  );
+};
+
+const DeleteAccountForm = () => {
+  const { logout } = useAuth();
+  const [posts, setPosts] = useState("anonymize");
+  const [password, setPassword] = useState("");
+  const [status, setStatus] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Delete your account? This cannot be undone.")) return;
+    setStatus(null);
+    try {
+      await deleteAccount({ password, posts });
+      logout();
+    } catch (err) {
+      setStatus({ error: true, text: err.message || "Failed to delete account" });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm p-6 space-y-4 border border-red-200">
+      <h2 className="text-xl font-semibold flex items-center text-red-700">
+        <Trash2 className="h-5 w-5 mr-2" />
+        Delete account
+      </h2>
+      <div className="space-y-2 text-sm text-gray-700">
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={posts === "anonymize"} onChange={() => setPosts("anonymize")} />
+          <span>Keep my posts online, shown as written by &quot;Deleted user&quot;</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={posts === "delete"} onChange={() => setPosts("delete")} />
+          <span>Delete my posts, their comments and my uploaded images</span>
+        </label>
+      </div>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Current password"
+        required
+        className={inputClass}
+      />
+      <button type="submit" className="bg-red-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-red-700">
+        Delete my account
+      </button>
+      <Status status={status} />
+    </form>
+  );
+};
+
+const Settings = () => (
+  <div className="min-h-screen bg-gray-50">
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+        <SettingsIcon className="h-7 w-7 mr-2 text-indigo-600" />
+        Settings
+      </h1>
+      <ProfileForm />
+      <EmailForm />
+      <PasswordForm />
+      <SessionList />
+      <DeleteAccountForm />
+    </div>
+  </div>
+);
+
+export default Settings;
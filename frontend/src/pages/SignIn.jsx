@@ -51,7 +51,7 @@ const Login = () => {
       login(response.message.user);
       navigate('/dashboard');
     } catch (err) {
-      setError(err.response?.data?.message || 'Login failed. Please try again.');
+      setError(err.message || 'Login failed. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -109,6 +109,11 @@ const Login = () => {
                   {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
                 </button>
               </div>
+              <div className="text-right mt-2">
+                <Link to="/forgot-password" className="text-sm text-indigo-600 hover:text-indigo-800">
+                  Forgot password?
+                </Link>
+              </div>
             </div>
 
             {error && (
@@ -24,12 +24,12 @@ export default function Signup() {
     e.preventDefault();
     try {
       await registerUser(formData);
-      setMessage({ type: "success", text: "Registered successfully!" });
+      setMessage({ type: "success", text: "Registered successfully! Check your inbox to verify your email." });
       setFormData({ username: "", email: "", password: "" });
       // after successful registration, redirect to sign-in page
       setTimeout(() => {
         navigate("/login");
-      }, 2000);
+      }, 3000);
     } catch (err) {
       console.error(err);
       setMessage({
@@ -0,0 +1,135 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { getAllPublicBlogs, getTags } from "../api/apiInstance";
+import TagList from "../components/TagList";
+import AuthorByline from "../components/AuthorByline";
+import { blogPath } from "../utils/blogPath";
+import { Calendar, Hash } from "lucide-react";
+
+const TagBlogs = () => {
+  const { tag } = useParams();
+  const [blogs, setBlogs] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [page, setPage] = useState(1);
+  const [limit] = useState(10);
+  const [totalBlogs, setTotalBlogs] = useState(0);
+  const totalPages = totalBlogs > 0 ? Math.ceil(totalBlogs / limit) : 1;
+
+  // a new tag starts again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [tag]);
+
+  useEffect(() => {
+    const fetchBlogs = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await getAllPublicBlogs({ page, limit, tag });
+        setBlogs(response.data?.blogs || []);
+        setTotalBlogs(response.data?.totalBlogs || 0);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message || "Failed to fetch blogs");
+        setBlogs([]);
+        setTotalBlogs(0);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBlogs();
+  }, [tag, page, limit]);
+
+  useEffect(() => {
+    getTags({ limit: 20 })
+      .then((response) => setTags(response.data?.tags || []))
+      .catch(() => setTags([]));
+  }, []);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return "Date not available";
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-2 flex items-center justify-center">
+            <Hash className="h-8 w-8 text-indigo-600 mr-1" />
+            {tag}
+          </h1>
+          <p className="text-lg text-gray-600">{totalBlogs} post{totalBlogs === 1 ? "" : "s"} tagged with #{tag}</p>
+        </div>
+
+        {tags.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-sm p-6 mb-8">
+            <h2 className="text-sm font-semibold text-gray-700 mb-3">Popular tags</h2>
+            <TagList tags={tags.map((t) => t.tag)} />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : error ? (
+          <div className="text-center p-8 bg-red-50 text-red-600 rounded-lg">{error}</div>
+        ) : blogs.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {blogs.map((blog) => (
+              <div key={blog._id} className="bg-white rounded-2xl shadow-sm p-6 flex flex-col">
+                <p className="text-sm text-indigo-600 font-semibold uppercase">{blog.theme}</p>
+                <h3 className="text-xl font-bold text-gray-900 mt-2 mb-3 leading-tight">
+                  <Link to={blogPath(blog)} className="hover:text-indigo-700">{blog.title}</Link>
+                </h3>
+                <p className="text-gray-600 text-sm line-clamp-3">{blog.description}</p>
+                <TagList tags={blog.tags} className="mt-4" />
+                <div className="flex items-center text-sm text-gray-500 mt-auto border-t pt-4">
+                  <Calendar className="h-4 w-4 mr-2" />
+                  <span>{formatDate(blog.publishedAt || blog.createdAt)}</span>
+                  <span className="mx-2">•</span>
+                  <AuthorByline author={blog.author} />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center p-8 bg-white rounded-lg shadow-sm">
+            <h3 className="text-xl font-semibold text-gray-700">No Blogs Found</h3>
+            <p className="text-gray-500 mt-2">Nobody has used this tag yet.</p>
+          </div>
+        )}
+
+        {totalPages > 1 && !loading && (
+          <div className="flex justify-center items-center mt-12">
+            <button
+              disabled={page === 1}
+              onClick={() => setPage((p) => p - 1)}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-l-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="bg-white border-t border-b border-gray-300 text-indigo-600 px-4 py-2 font-semibold">
+              Page {page} of {totalPages}
+            </span>
+            <button
+              disabled={page === totalPages}
+              onClick={() => setPage((p) => p + 1)}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-r-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagBlogs;
@@ -0,0 +1,42 @@
+import { useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { verifyEmail } from "../api/apiInstance";
+import { useTokenLink } from "../hooks/useTokenLink";
+import { MailCheck } from "lucide-react";
+
+// landing page of the link from the signup email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, updateUser } = useAuth();
+  const status = useTokenLink(token, verifyEmail);
+  const verified = Boolean(status.response);
+
+  // hide the dashboard banner without having to log in again
+  useEffect(() => {
+    if (verified && user && user.emailVerified === false) {
+      updateUser({ emailVerified: true });
+    }
+  }, [verified, user, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-2xl shadow-sm p-8 max-w-md w-full text-center">
+        <MailCheck className="h-10 w-10 text-indigo-600 mx-auto mb-4" />
+        {status.loading ? (
+          <p className="text-gray-600">Verifying your email address...</p>
+        ) : status.error ? (
+          <p className="text-red-600">{status.error}</p>
+        ) : (
+          <p className="text-gray-700">Your email address is verified, you can now publish your posts.</p>
+        )}
+        <Link to={user ? "/dashboard" : "/login"} className="inline-block mt-6 text-indigo-600 hover:underline">
+          {user ? "Go to your dashboard" : "Sign in"}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,5 @@
+import { API_ORIGIN } from "../api/apiInstance";
+
+// uploads (avatars, covers...) are stored as /uploads/... paths on the backend,
+// external images are already absolute
+export const assetUrl = (url) => (url?.startsWith("/") ? `${API_ORIGIN}${url}` : url);
@@ -0,0 +1,11 @@
+// Link to a post: the /@username/slug permalink when we have one,
+// otherwise the plain /blog/:id route (e.g. posts created before slugs existed)
+export const blogPath = (blog) => {
+  if (blog?.slug && blog?.author?.username) {
+    return `/@${encodeURIComponent(blog.author.username)}/${encodeURIComponent(blog.slug)}`;
+  }
+  return `/blog/${blog?._id}`;
+};
+
+// public profile page of an author
+export const authorPath = (author) => `/u/${encodeURIComponent(author?.username)}`;